@@ -1,30 +1,51 @@
 /**
  * Hierarchical Design Token Build Script
  * 
- * Builds design tokens for all 4 themes:
- * - classic-light
- * - classic-dark
- * - advance-light
- * - advance-dark
+ * Builds design tokens for every theme: each combination of a brand
+ * (tokens/foundation/brand-*.json) and a color scheme (scheme-*.json), e.g.
+ * classic-light, classic-dark, advance-light, advance-dark, and every theme
+ * found in tokens/foundation/theme-*.json. A theme file may declare
+ * "$extends": "<theme>" to only override a few values of another theme.
  * 
- * Generates outputs for Web (CSS), Android (XML), and iOS (Swift)
+ * Mode axes independent of the themes (e.g. density: comfortable, compact) are
+ * declared in tokens/modes/<axis>/<value>.json and built for every theme.
+ * 
+ * Token files may use the legacy format ({ "value": ... }) or the W3C Design
+ * Tokens Community Group (DTCG) draft format ({ "$value", "$type",
+ * "$description" }, with "$type" inherited from parent groups).
+ * 
+ * Generates outputs for Web (CSS, SCSS, Less, JS/TS, Tailwind, JSON, DTCG JSON),
+ * Android (XML), iOS (Swift), Jetpack Compose (Kotlin) and Flutter (Dart)
+ * 
+ * Usage:
+ *   node build-themes.js [--watch] [--strict] [--config <file>] [--modes <axis>=<value>[,<value>]|none]...
+ *   node build-themes.js diff <from> [<to>] [--json] [--output <file>]
+ * 
+ * Or as a Node API:
+ *   const { build } = require('tokens-ds');
+ *   const { themeOutputs, modeOutputs, files } = build({ sourceDir, outputDir, themes, modes, platforms, write: false });
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { execFileSync } = require('child_process');
 
-// Configuration
+// Configuration (defaults, overridable through build() options)
 const TOKENS_DIR = './tokens';
 const BUILD_DIR = './build';
-const THEMES = ['classic-light', 'classic-dark', 'advance-light', 'advance-dark'];
+const DEFAULT_THEME = 'classic-light';
+const THEME_FILE_PATTERN = /^theme-(.+)\.json$/;
+const BRAND_FILE_PATTERN = /^brand-(.+)\.json$/;
+const SCHEME_FILE_PATTERN = /^scheme-(.+)\.json$/;
+const CONTRAST_PAIRS_FILE = './contrast-pairs.json';
+const CONFIG_FILE = './tokens.config.js';
 
-// Ensure build directories exist
-['web', 'android', 'ios'].forEach(platform => {
-  const dir = path.join(BUILD_DIR, platform);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-});
+// WCAG 2.x minimum contrast ratios (normal text / large text)
+const WCAG_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
 
 /**
  * Recursively load all JSON files from a directory
@@ -43,7 +64,7 @@ function loadJsonFiles(dir) {
       const subTokens = loadJsonFiles(fullPath);
       tokens = deepMerge(tokens, subTokens);
     } else if (item.name.endsWith('.json')) {
-      const content = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+      const content = readTokenFile(fullPath);
       tokens = deepMerge(tokens, content);
     }
   }
@@ -51,6 +72,274 @@ function loadJsonFiles(dir) {
   return tokens;
 }
 
+/**
+ * Read a token file, tagging every token with the file it came from
+ */
+function readTokenFile(filePath) {
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${filePath}: ${error.message}`);
+  }
+  tagTokens(content, filePath);
+  return content;
+}
+
+/**
+ * Recursively set filePath on every token in a parsed token file
+ */
+function tagTokens(obj, filePath) {
+  for (const key in obj) {
+    const value = obj[key];
+    if (!value || typeof value !== 'object' || key.startsWith('$')) continue;
+    
+    if (isToken(value)) {
+      value.filePath = filePath;
+    } else {
+      tagTokens(value, filePath);
+    }
+  }
+}
+
+/**
+ * Find every theme: each brand × color scheme combination of
+ * tokens/foundation/brand-*.json and scheme-*.json (classic-dark), and every
+ * theme declared in tokens/foundation/theme-*.json
+ * The default theme and its family come first, the other families in
+ * alphabetical order, with light before dark within each family
+ * (classic-light, classic-dark, advance-light, advance-dark)
+ */
+function discoverThemes(sourceDir = TOKENS_DIR) {
+  const foundationDir = path.join(sourceDir, 'foundation');
+  if (!fs.existsSync(foundationDir)) return [];
+  
+  const schemes = listFoundationFiles(SCHEME_FILE_PATTERN, sourceDir);
+  const combinations = listFoundationFiles(BRAND_FILE_PATTERN, sourceDir)
+    .flatMap(brand => schemes.map(scheme => `${brand}-${scheme}`));
+  const themes = [...new Set([...listFoundationFiles(THEME_FILE_PATTERN, sourceDir), ...combinations])].sort();
+  
+  const families = getThemeFamilies(themes);
+  const defaultFamily = families.find(family => family.light === DEFAULT_THEME || family.dark === DEFAULT_THEME);
+  const ordered = [defaultFamily, ...families.filter(family => family !== defaultFamily)]
+    .filter(Boolean)
+    .flatMap(family => [...new Set([family.light, family.dark])]);
+  
+  if (themes.includes(DEFAULT_THEME)) {
+    return [DEFAULT_THEME, ...ordered.filter(theme => theme !== DEFAULT_THEME)];
+  }
+  return ordered;
+}
+
+/**
+ * Names of the foundation files matching a pattern, e.g. the brands of
+ * tokens/foundation/brand-*.json, sorted
+ */
+function listFoundationFiles(pattern, sourceDir = TOKENS_DIR) {
+  const foundationDir = path.join(sourceDir, 'foundation');
+  if (!fs.existsSync(foundationDir)) return [];
+  
+  return fs.readdirSync(foundationDir)
+    .map(file => file.match(pattern))
+    .filter(Boolean)
+    .map(match => match[1])
+    .sort();
+}
+
+/**
+ * The brand and color scheme a theme combines, e.g. advance-dark →
+ * { brand: 'advance', scheme: 'dark' }, or null when there is no
+ * brand-<brand>.json and scheme-<scheme>.json for it
+ */
+function getThemeAxes(theme, sourceDir = TOKENS_DIR) {
+  const schemes = listFoundationFiles(SCHEME_FILE_PATTERN, sourceDir);
+  for (const brand of listFoundationFiles(BRAND_FILE_PATTERN, sourceDir)) {
+    const scheme = theme.startsWith(`${brand}-`) ? theme.slice(brand.length + 1) : null;
+    if (schemes.includes(scheme)) return { brand, scheme };
+  }
+  return null;
+}
+
+/**
+ * Pair light and dark themes into families, e.g. classic-light + classic-dark → classic
+ * A theme without a light/dark counterpart forms a family of its own, used in both modes
+ * Returns [{ name, light, dark }] in theme order
+ */
+function getThemeFamilies(themes) {
+  const families = new Map();
+  
+  for (const theme of themes) {
+    const match = theme.match(/^(.+)-(light|dark)$/);
+    const name = match ? match[1] : theme;
+    if (!families.has(name)) families.set(name, { name });
+    
+    const family = families.get(name);
+    if (match) {
+      family[match[2]] = theme;
+    } else {
+      family.light = family.dark = theme;
+    }
+  }
+  
+  return [...families.values()].map(family => ({
+    name: family.name,
+    light: family.light || family.dark,
+    dark: family.dark || family.light
+  }));
+}
+
+/**
+ * Find the mode axes declared in tokens/modes/<axis>/<value>.json, e.g.
+ * density: comfortable, compact. Modes are independent of the theme axis
+ * (brand × color scheme) and combine with every theme
+ * Each axis's default value (the file with "$default": true, otherwise the
+ * first alphabetically) comes first
+ * Returns { [axis]: [values] }
+ */
+function discoverModes(sourceDir = TOKENS_DIR) {
+  const modesDir = path.join(sourceDir, 'modes');
+  if (!fs.existsSync(modesDir)) return {};
+  
+  const modes = {};
+  for (const axis of fs.readdirSync(modesDir, { withFileTypes: true })) {
+    if (!axis.isDirectory()) continue;
+    
+    const values = fs.readdirSync(path.join(modesDir, axis.name))
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .sort();
+    if (values.length === 0) continue;
+    
+    const defaultValue = values.find(value => readTokenFile(getModeFile(axis.name, value, sourceDir)).$default) || values[0];
+    modes[axis.name] = [defaultValue, ...values.filter(value => value !== defaultValue)];
+  }
+  return modes;
+}
+
+/**
+ * Path of a mode file, e.g. tokens/modes/density/compact.json
+ */
+function getModeFile(axis, value, sourceDir = TOKENS_DIR) {
+  return path.join(sourceDir, 'modes', axis, `${value}.json`);
+}
+
+/**
+ * Each axis's default value, e.g. { density: 'comfortable' }
+ */
+function getDefaultModes(modes) {
+  const defaults = {};
+  for (const [axis, values] of Object.entries(modes)) {
+    defaults[axis] = values[0];
+  }
+  return defaults;
+}
+
+/**
+ * Every combination of non-default mode values, e.g. [{ density: 'compact' }]
+ * Axes left out of a combination keep their default value
+ */
+function getModeCombinations(modes) {
+  let combinations = [{}];
+  for (const [axis, [, ...values]] of Object.entries(modes)) {
+    combinations = combinations.flatMap(combination => [
+      combination,
+      ...values.map(value => ({ ...combination, [axis]: value }))
+    ]);
+  }
+  
+  // The first combination is all defaults, which the themes themselves are
+  return combinations.slice(1);
+}
+
+/**
+ * Key of a mode combination, e.g. density-compact or density-compact.contrast-high
+ */
+function toModeKey(combination) {
+  return Object.entries(combination).map(([axis, value]) => `${axis}-${value}`).join('.');
+}
+
+/**
+ * Identifier forms of a mode combination key, e.g. density-compact →
+ * density_compact (resource and file names) or DensityCompact (type names)
+ */
+function toModeSnakeCase(key) {
+  return key.replace(/[.-]/g, '_');
+}
+
+function toModePascalCase(key) {
+  return toPascalCase(key.replace(/\./g, '-'));
+}
+
+/**
+ * Narrow the discovered mode axes to the ones to build
+ * 
+ * A selection is { [axis]: [values] } or its command-line form, one or more
+ * "<axis>=<value>[,<value>]" (or "none"). Each axis keeps its default value
+ * first; axes left out of the selection are only built with their default,
+ * so an empty selection builds no mode combinations. Unknown axes or values
+ * are errors
+ */
+function selectModes(modes, selection) {
+  if (selection === undefined) return modes;
+  if (typeof selection === 'string' || Array.isArray(selection)) {
+    selection = parseModeSelection([].concat(selection));
+  }
+  
+  for (const [axis, values] of Object.entries(selection)) {
+    if (!modes[axis]) {
+      throw new Error(`Unknown mode axis "${axis}" (available: ${Object.keys(modes).join(', ') || 'none'})`);
+    }
+    const unknownValue = values.find(value => !modes[axis].includes(value));
+    if (unknownValue) {
+      throw new Error(`Unknown ${axis} mode "${unknownValue}" (available: ${modes[axis].join(', ')})`);
+    }
+  }
+  
+  const selected = {};
+  for (const [axis, [defaultValue, ...values]] of Object.entries(modes)) {
+    const wanted = selection[axis] || [];
+    selected[axis] = [defaultValue, ...values.filter(value => wanted.includes(value))];
+  }
+  return selected;
+}
+
+/**
+ * Parse command-line mode selections, e.g. ['density=compact'] → { density: ['compact'] }
+ */
+function parseModeSelection(args) {
+  const selection = {};
+  for (const arg of args) {
+    if (arg === 'none') continue;
+    const match = arg.match(/^([^=]+)=(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid mode selection "${arg}" (expected <axis>=<value>[,<value>] or none)`);
+    }
+    selection[match[1]] = [...(selection[match[1]] || []), ...match[2].split(',')];
+  }
+  return selection;
+}
+
+/**
+ * Mode combinations that change a shared output built from the default theme,
+ * e.g. compact density for the dimension files: [[key, resolvedTokens]], with
+ * the combination's default-theme tokens. generate(resolvedTokens) is compared
+ * to the default build's output, ignoring its "Generated on" line
+ */
+function getModeVariants(modeOutputs, themeOutputs, themes, generate) {
+  const withoutDate = content => content.replace(/^.*Generated on .*$/m, '');
+  const base = withoutDate(generate(themeOutputs[themes[0]]));
+  return Object.entries(modeOutputs)
+    .map(([key, outputs]) => [key, outputs[themes[0]]])
+    .filter(([, resolvedTokens]) => withoutDate(generate(resolvedTokens)) !== base);
+}
+
+/**
+ * Check if an object is a token (legacy "value" or DTCG "$value")
+ */
+function isToken(obj) {
+  return obj.value !== undefined || obj.$value !== undefined;
+}
+
 /**
  * Deep merge two objects
  */
@@ -59,8 +348,8 @@ function deepMerge(target, source) {
   
   for (const key in source) {
     if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
-      if (source[key].value !== undefined) {
-        // This is a token (has value property)
+      if (isToken(source[key])) {
+        // This is a token (has value or $value property)
         result[key] = source[key];
       } else {
         // This is a nested object
@@ -75,54 +364,179 @@ function deepMerge(target, source) {
 }
 
 /**
- * Load tokens for a specific theme
+ * Load tokens for a specific theme, with the given mode values
+ * (default: each axis's default, see discoverModes())
  */
-function loadThemeTokens(theme) {
+function loadThemeTokens(theme, sourceDir = TOKENS_DIR, modes = getDefaultModes(discoverModes(sourceDir))) {
   // Load shared tokens
-  const rawColors = loadJsonFiles(path.join(TOKENS_DIR, 'color'));
-  const spacing = loadJsonFiles(path.join(TOKENS_DIR, 'foundation'));
-  const components = loadJsonFiles(path.join(TOKENS_DIR, 'components'));
+  const rawColors = loadJsonFiles(path.join(sourceDir, 'color'));
+  const components = loadJsonFiles(path.join(sourceDir, 'components'));
   
   // Start with raw colors and spacing
   let tokens = deepMerge({}, rawColors);
   
   // Load spacing (but not theme files)
-  const spacingFile = path.join(TOKENS_DIR, 'foundation', 'spacing.json');
+  const spacingFile = path.join(sourceDir, 'foundation', 'spacing.json');
   if (fs.existsSync(spacingFile)) {
-    const spacingTokens = JSON.parse(fs.readFileSync(spacingFile, 'utf8'));
+    const spacingTokens = readTokenFile(spacingFile);
     tokens = deepMerge(tokens, spacingTokens);
   }
   
-  // Load theme-specific tokens
-  const themeFile = path.join(TOKENS_DIR, 'foundation', `theme-${theme}.json`);
-  if (fs.existsSync(themeFile)) {
-    const themeTokens = JSON.parse(fs.readFileSync(themeFile, 'utf8'));
-    tokens = deepMerge(tokens, themeTokens);
-  }
+  // Load theme-specific tokens (including the themes it extends)
+  tokens = deepMerge(tokens, loadThemeFile(theme, sourceDir));
   
   // Load component tokens
   tokens = deepMerge(tokens, components);
   
+  // Modes override anything, e.g. density changes spacing and component sizing
+  for (const [axis, value] of Object.entries(modes)) {
+    const modeFile = getModeFile(axis, value, sourceDir);
+    if (!fs.existsSync(modeFile)) {
+      throw new Error(`Unknown ${axis} mode "${value}"`);
+    }
+    const { $default, ...modeTokens } = readTokenFile(modeFile);
+    tokens = deepMerge(tokens, modeTokens);
+  }
+  
   return tokens;
 }
 
+/**
+ * Load a theme's foundation tokens: its theme file merged on top of the theme
+ * it extends, or of its brand × color scheme combination (see composeTheme())
+ */
+function loadThemeFile(theme, sourceDir = TOKENS_DIR, chain = []) {
+  if (chain.includes(theme)) {
+    throw new Error(`Circular theme inheritance: ${[...chain, theme].join(' → ')}`);
+  }
+  
+  const themeFile = path.join(sourceDir, 'foundation', `theme-${theme}.json`);
+  const axes = getThemeAxes(theme, sourceDir);
+  if (!fs.existsSync(themeFile)) {
+    if (axes) return composeTheme(axes, sourceDir);
+    
+    const parent = chain[chain.length - 1];
+    throw new Error(parent
+      ? `Theme "${parent}" extends unknown theme "${theme}"`
+      : `Unknown theme "${theme}"`);
+  }
+  
+  const { $extends, ...themeTokens } = readTokenFile(themeFile);
+  if ($extends) return deepMerge(loadThemeFile($extends, sourceDir, [...chain, theme]), themeTokens);
+  return axes ? composeTheme(axes, sourceDir, themeTokens) : themeTokens;
+}
+
+/**
+ * Combine a color scheme with a brand: the scheme file maps semantic tokens
+ * onto palette colors ({palette.neutral.900}), and the brand's $palette
+ * picks the raw colors behind them ("neutral": "color.rawColors.slate").
+ * Brand tokens apply to every scheme; themeTokens (theme-<brand>-<scheme>.json)
+ * only to that combination, and can use the palette too
+ */
+function composeTheme({ brand, scheme }, sourceDir = TOKENS_DIR, themeTokens = {}) {
+  const schemeTokens = readTokenFile(path.join(sourceDir, 'foundation', `scheme-${scheme}.json`));
+  const { $palette = {}, ...brandTokens } = readTokenFile(path.join(sourceDir, 'foundation', `brand-${brand}.json`));
+  
+  const replacePalette = value => {
+    if (typeof value === 'string') {
+      return value.replace(/\{palette\.([^.}]+)\.([^}]+)\}/g, (match, color, shade) => {
+        if (!$palette[color]) {
+          throw new Error(`Brand "${brand}" has no "${color}" palette color (${match} in theme ${brand}-${scheme})`);
+        }
+        return `{${$palette[color]}.${shade}}`;
+      });
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replacePalette(item)]));
+    }
+    return value;
+  };
+  const applyPalette = obj => {
+    const result = {};
+    for (const [key, value] of Object.entries(obj)) {
+      if (!value || typeof value !== 'object' || key.startsWith('$')) {
+        result[key] = value;
+      } else if (isToken(value)) {
+        result[key] = { ...value };
+        if (value.value !== undefined) result[key].value = replacePalette(value.value);
+        if (value.$value !== undefined) result[key].$value = replacePalette(value.$value);
+      } else {
+        result[key] = applyPalette(value);
+      }
+    }
+    return result;
+  };
+  
+  return applyPalette(deepMerge(deepMerge(schemeTokens, brandTokens), themeTokens));
+}
+
+/**
+ * Normalize a legacy or DTCG token to { value, type, description }
+ */
+function normalizeToken(token, inheritedType) {
+  let normalized = { ...token };
+  
+  if (token.$value !== undefined) {
+    const { $value, $type, $description, $deprecated, ...rest } = token;
+    normalized = { ...rest, value: $value };
+    if ($type) normalized.type = $type;
+    if ($description) normalized.description = $description;
+    if ($deprecated !== undefined) normalized.deprecated = $deprecated;
+  }
+  
+  if (normalized.type === undefined && inheritedType) normalized.type = inheritedType;
+  // Style Dictionary's "comment" is an alias for description
+  if (normalized.description === undefined && normalized.comment !== undefined) {
+    normalized.description = normalized.comment;
+  }
+  
+  const deprecated = normalizeDeprecation(normalized.deprecated);
+  if (deprecated) {
+    normalized.deprecated = deprecated;
+  } else {
+    delete normalized.deprecated;
+  }
+  return normalized;
+}
+
+/**
+ * Normalize token deprecation metadata to { message, replacement } or null
+ * Accepts true, a message string, or { replacement, message }, where the
+ * replacement is a token path with or without braces
+ */
+function normalizeDeprecation(deprecated) {
+  if (!deprecated) return null;
+  if (deprecated === true) return {};
+  if (typeof deprecated === 'string') return { message: deprecated };
+  
+  const normalized = {};
+  if (deprecated.message) normalized.message = deprecated.message;
+  if (deprecated.replacement) normalized.replacement = deprecated.replacement.replace(/^\{|\}$/g, '');
+  return normalized;
+}
+
 /**
  * Flatten nested tokens into a flat map with dot-notation keys
+ * Group-level $type is inherited by every token in the group
  */
-function flattenTokens(obj, prefix = '') {
+function flattenTokens(obj, prefix = '', inheritedType) {
   const result = {};
+  const groupType = obj.$type || inheritedType;
   
   for (const key in obj) {
+    // $type, $description, $extensions... describe the group, not tokens
+    if (key.startsWith('$')) continue;
+    
     const newKey = prefix ? `${prefix}.${key}` : key;
     const value = obj[key];
     
     if (value && typeof value === 'object') {
-      if (value.value !== undefined) {
+      if (isToken(value)) {
         // This is a token
-        result[newKey] = value;
+        result[newKey] = normalizeToken(value, groupType);
       } else {
         // This is a nested object
-        Object.assign(result, flattenTokens(value, newKey));
+        Object.assign(result, flattenTokens(value, newKey, groupType));
       }
     }
   }
@@ -132,16 +546,28 @@ function flattenTokens(obj, prefix = '') {
 
 /**
  * Resolve token references like {color.rawColors.blue.500} to final values
+ * Throws on a missing or circular reference (see referenceError())
  */
 function resolveReference(value, flatTokens, seen = new Set()) {
   if (typeof value !== 'string') return value;
+  
+  // Color modifiers and arithmetic resolve to a concrete value
+  const resolveRef = refPath => resolveReference(`{${refPath}}`, flatTokens, seen);
+  const colorExpression = parseColorExpression(value, flatTokens);
+  if (colorExpression) {
+    return formatColor(evaluateColorExpression(colorExpression, resolveRef));
+  }
+  const arithmetic = parseArithmeticExpression(value);
+  if (arithmetic) {
+    return formatDimension(evaluateArithmetic(arithmetic, resolveRef));
+  }
+  
   if (!value.includes('{')) return value;
   
   // Handle references like {color.rawColors.blue.500}
   return value.replace(/\{([^}]+)\}/g, (match, refPath) => {
     if (seen.has(refPath)) {
-      console.warn(`Circular reference detected: ${refPath}`);
-      return match;
+      throw referenceError('circular', [...seen, refPath]);
     }
     
     const token = flatTokens[refPath];
@@ -151,30 +577,152 @@ function resolveReference(value, flatTokens, seen = new Set()) {
       return resolveReference(token.value, flatTokens, newSeen);
     }
     
-    // Return unresolved reference
-    return match;
+    throw referenceError('missing', [...seen, refPath]);
   });
 }
 
+/**
+ * Error for a broken reference, as validateReferences() reports it
+ * type is 'missing' or 'circular'; chain ends with the broken reference
+ */
+function referenceError(type, chain) {
+  const refPath = chain[chain.length - 1];
+  const via = chain.length > 1 ? ` (${chain.join(' → ')})` : '';
+  return new Error(type === 'circular'
+    ? `circular reference: ${chain.join(' → ')}`
+    : `unresolved reference {${refPath}}${via}`);
+}
+
+/**
+ * Collect every {reference} path used in a token value
+ */
+function getReferences(value) {
+  if (typeof value === 'string') {
+    return [...value.matchAll(/\{([^}]+)\}/g)].map(match => match[1]);
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).flatMap(getReferences);
+  }
+  return [];
+}
+
+/**
+ * Find the first broken reference reachable from a token
+ * Returns { type: 'missing' | 'circular', chain } or null if it resolves
+ */
+function findBrokenReference(tokenPath, flatTokens, chain = [tokenPath]) {
+  for (const refPath of getReferences(flatTokens[tokenPath].value)) {
+    const refChain = [...chain, refPath];
+    
+    if (chain.includes(refPath)) {
+      return { type: 'circular', chain: refChain };
+    }
+    if (!flatTokens[refPath]) {
+      return { type: 'missing', chain: refChain };
+    }
+    
+    const broken = findBrokenReference(refPath, flatTokens, refChain);
+    if (broken) return broken;
+  }
+  
+  return null;
+}
+
+/**
+ * Validate every reference in a theme before any output is written
+ * Returns a list of { path, filePath, message } errors
+ */
+function validateReferences(flatTokens) {
+  const errors = [];
+  
+  for (const [tokenPath, token] of Object.entries(flatTokens)) {
+    const replacement = token.deprecated && token.deprecated.replacement;
+    if (replacement && !flatTokens[replacement]) {
+      errors.push({
+        path: tokenPath,
+        filePath: token.filePath,
+        message: `deprecated in favor of {${replacement}}, which does not exist`
+      });
+    }
+    
+    const broken = findBrokenReference(tokenPath, flatTokens);
+    if (!broken) {
+      const expressionError = findExpressionError(token.value, flatTokens);
+      if (expressionError) {
+        errors.push({ path: tokenPath, filePath: token.filePath, message: expressionError });
+      }
+      continue;
+    }
+    
+    errors.push({
+      path: tokenPath,
+      filePath: token.filePath,
+      message: referenceError(broken.type, broken.chain).message
+    });
+  }
+  
+  return errors;
+}
+
+/**
+ * Group validation errors by token, listing the affected themes
+ */
+function groupValidationErrors(errorsByTheme) {
+  const grouped = new Map();
+  
+  for (const [theme, errors] of Object.entries(errorsByTheme)) {
+    for (const error of errors) {
+      const key = `${error.path}\n${error.message}`;
+      if (!grouped.has(key)) grouped.set(key, { ...error, themes: [] });
+      grouped.get(key).themes.push(theme);
+    }
+  }
+  
+  return [...grouped.values()];
+}
+
+/**
+ * Print grouped validation errors
+ */
+function reportValidationErrors(errors) {
+  console.error(`\n❌ Found ${errors.length} broken token reference(s):\n`);
+  for (const error of errors) {
+    console.error(`  ✗ ${error.path}`);
+    console.error(`      ${error.message}`);
+    console.error(`      in ${error.filePath || 'unknown file'} [${error.themes.join(', ')}]`);
+  }
+}
+
 /**
  * Convert token references to CSS variable references
  * e.g., {color.border.default} → var(--color-border-default)
  * Only converts the first level of reference (doesn't resolve the chain)
+ * Throws on a missing reference rather than writing it unresolved
  */
-function toCSSSyntax(value, flatTokens) {
+function toCSSSyntax(value, flatTokens, toName = toCSSVarName) {
   if (typeof value !== 'string') return value;
+  
+  // Color modifiers and arithmetic become color-mix() and calc(), so they
+  // follow the referenced variables
+  const toCSSRef = refPath => {
+    if (!flatTokens[refPath]) throw referenceError('missing', [refPath]);
+    return `var(${toName(refPath)})`;
+  };
+  const colorExpression = parseColorExpression(value, flatTokens);
+  if (colorExpression) return toColorMix(colorExpression, toCSSRef);
+  const arithmetic = parseArithmeticExpression(value);
+  if (arithmetic) {
+    const resolveRef = refPath => resolveReference(`{${refPath}}`, flatTokens);
+    const calcNode = withZeroUnits(arithmetic, resolveRef);
+    return isCalcCompatible(calcNode, resolveRef)
+      ? `calc(${toCalc(calcNode, toCSSRef)})`
+      : formatDimension(evaluateArithmetic(arithmetic, resolveRef));
+  }
+  
   if (!value.includes('{')) return value;
   
-  return value.replace(/\{([^}]+)\}/g, (match, refPath) => {
-    // Check if this reference exists
-    const token = flatTokens[refPath];
-    if (token) {
-      // Convert to CSS var() syntax
-      return `var(--${refPath.replace(/\./g, '-')})`;
-    }
-    // If reference doesn't exist, try to resolve it
-    return resolveReference(match, flatTokens);
-  });
+  // Convert to CSS var() syntax
+  return value.replace(/\{([^}]+)\}/g, (match, refPath) => toCSSRef(refPath));
 }
 
 /**
@@ -210,6 +758,23 @@ function toAndroidResourceName(tokenPath) {
   return tokenPath.replace(/\./g, '_');
 }
 
+/**
+ * Convert token path to an Android theme attribute name
+ * e.g., color.text.primary → dsColorTextPrimary
+ */
+function toAndroidAttrName(tokenPath) {
+  const name = toSwiftPropertyName(tokenPath);
+  return `ds${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+}
+
+/**
+ * Convert a theme or family name to PascalCase for type and style names
+ * e.g., classic → Classic, classic-dark → ClassicDark
+ */
+function toPascalCase(name) {
+  return name.split('-').map(p => p.charAt(0).toUpperCase() + p.slice(1)).join('');
+}
+
 /**
  * Convert token path to Swift property name
  */
@@ -220,6 +785,87 @@ function toSwiftPropertyName(tokenPath) {
     .join('');
 }
 
+/**
+ * Swift color class name for a theme, e.g. StyleDictionaryColorClassicDark
+ */
+function toSwiftColorClassName(theme) {
+  return `StyleDictionaryColor${toPascalCase(theme)}`;
+}
+
+/**
+ * Platform name of a deprecated token's replacement, or null
+ */
+function getReplacementName(token, resolvedTokens, toName) {
+  const replacement = token.deprecated && token.deprecated.replacement;
+  if (!replacement) return null;
+  return (resolvedTokens[replacement] && resolvedTokens[replacement].name) || toName(replacement);
+}
+
+/**
+ * Deprecation notice for a token, naming the replacement as the platform does
+ * e.g., "Renamed. Use colorTextPrimary instead"
+ */
+function getDeprecationMessage(token, resolvedTokens, toName) {
+  const replacementName = getReplacementName(token, resolvedTokens, toName);
+  const parts = [];
+  if (token.deprecated.message) parts.push(token.deprecated.message.replace(/\.$/, ''));
+  if (replacementName) parts.push(`Use ${replacementName} instead`);
+  return parts.join('. ') || 'Deprecated';
+}
+
+/**
+ * Token description with its "since" version, for doc comments
+ */
+function getTokenDoc(token) {
+  const since = token.since ? `Since ${token.since}.` : '';
+  return [token.description, since].filter(Boolean).join(' ');
+}
+
+/**
+ * Swift doc comment and @available(*, deprecated) lines for a token
+ */
+function swiftTokenAnnotations(token, resolvedTokens, indent, toName = toSwiftPropertyName) {
+  const lines = [];
+  const doc = getTokenDoc(token);
+  if (doc) lines.push(`${indent}/// ${doc}`);
+  if (token.deprecated) {
+    const renamed = getReplacementName(token, resolvedTokens, toName);
+    const message = JSON.stringify(getDeprecationMessage(token, resolvedTokens, toName));
+    lines.push(`${indent}@available(*, deprecated${renamed ? `, renamed: "${renamed}"` : ''}, message: ${message})`);
+  }
+  return lines;
+}
+
+/**
+ * KDoc and @Deprecated lines for a token
+ * toName names the replacement when resolvedTokens has no platform name for it
+ */
+function kotlinTokenAnnotations(token, resolvedTokens, indent, toName = toSwiftPropertyName) {
+  const lines = [];
+  const doc = getTokenDoc(token);
+  if (doc) lines.push(`${indent}/** ${doc} */`);
+  if (token.deprecated) {
+    const replacement = getReplacementName(token, resolvedTokens, toName);
+    const message = JSON.stringify(getDeprecationMessage(token, resolvedTokens, toName));
+    lines.push(`${indent}@Deprecated(${message}${replacement ? `, ReplaceWith("${replacement}")` : ''})`);
+  }
+  return lines;
+}
+
+/**
+ * Infer a DTCG $type for tokens that don't declare one
+ */
+function inferTokenType(tokenPath, value) {
+  if (isColor(value)) return 'color';
+  if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+  
+  if (tokenPath.includes('fontFamily')) return 'fontFamily';
+  if (tokenPath.includes('fontWeight')) return 'fontWeight';
+  if (tokenPath.includes('lineHeight')) return 'number';
+  if (/^-?\d*\.?\d+(px|rem|em)$/.test(value) || value === '0') return 'dimension';
+  return undefined;
+}
+
 /**
  * Check if value is a color
  */
@@ -265,324 +911,3665 @@ function hexToUIColor(hex) {
     return 'UIColor.clear';
   }
   
-  if (!hex || typeof hex !== 'string') return null;
+  const components = toSRGBComponents(hex);
+  if (!components) return null;
   
-  if (hex.startsWith('#')) {
-    const color = hex.slice(1);
-    const r = parseInt(color.slice(0, 2), 16) / 255;
-    const g = parseInt(color.slice(2, 4), 16) / 255;
-    const b = parseInt(color.slice(4, 6), 16) / 255;
-    const a = color.length === 8 ? parseInt(color.slice(6, 8), 16) / 255 : 1;
-    return `UIColor(red: ${r.toFixed(3)}, green: ${g.toFixed(3)}, blue: ${b.toFixed(3)}, alpha: ${a.toFixed(3)})`;
-  }
+  const { red, green, blue, alpha } = components;
+  return `UIColor(red: ${red}, green: ${green}, blue: ${blue}, alpha: ${alpha})`;
+}
+
+/**
+ * Convert a color to 0-1 sRGB components with 3 decimals, as used by UIColor and asset catalogs
+ */
+function toSRGBComponents(value) {
+  const color = parseColor(value);
+  if (!color) return null;
   
-  if (hex.startsWith('rgba')) {
-    const match = hex.match(/rgba?\(([^)]+)\)/);
-    if (match) {
-      const parts = match[1].split(',').map(p => parseFloat(p.trim()));
-      const r = parts[0] / 255;
-      const g = parts[1] / 255;
-      const b = parts[2] / 255;
-      const a = parts.length > 3 ? parts[3] : 1;
-      return `UIColor(red: ${r.toFixed(3)}, green: ${g.toFixed(3)}, blue: ${b.toFixed(3)}, alpha: ${a.toFixed(3)})`;
+  return {
+    red: (color.r / 255).toFixed(3),
+    green: (color.g / 255).toFixed(3),
+    blue: (color.b / 255).toFixed(3),
+    alpha: color.a.toFixed(3)
+  };
+}
+
+/**
+ * Parse a hex, rgb()/rgba() or transparent color into { r, g, b, a }
+ */
+function parseColor(value) {
+  if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (!value || typeof value !== 'string') return null;
+  
+  if (value.startsWith('#')) {
+    const color = value.slice(1);
+    if (color.length !== 6 && color.length !== 8) return null;
+    return {
+      r: parseInt(color.slice(0, 2), 16),
+      g: parseInt(color.slice(2, 4), 16),
+      b: parseInt(color.slice(4, 6), 16),
+      a: color.length === 8 ? parseInt(color.slice(6, 8), 16) / 255 : 1
+    };
+  }
+  
+  const match = value.match(/rgba?\(([^)]+)\)/);
+  if (match) {
+    const parts = match[1].split(',').map(p => parseFloat(p.trim()));
+    return { r: parts[0], g: parts[1], b: parts[2], a: parts.length > 3 ? parts[3] : 1 };
+  }
+  
+  return null;
+}
+
+/**
+ * Parse a CSS box-shadow string into layers of
+ * { offsetX, offsetY, blur, spread, color, inset } (lengths in px)
+ * Returns [] for "none" and null if the value is not a box-shadow
+ */
+function parseShadow(value) {
+  if (typeof value !== 'string') return null;
+  if (value.trim() === 'none') return [];
+  
+  // Split layers on commas outside of rgba(...)
+  const layers = value.split(/,(?![^(]*\))/).map(layer => {
+    const colorMatch = layer.match(/rgba?\([^)]+\)|#[0-9a-fA-F]{3,8}\b|transparent/);
+    const rest = (colorMatch ? layer.replace(colorMatch[0], '') : layer).trim().split(/\s+/);
+    const inset = rest.includes('inset');
+    const lengths = rest.filter(part => part !== 'inset');
+    
+    if (lengths.length < 2 || lengths.length > 4 || !lengths.every(part => /^-?\d*\.?\d+(px)?$/.test(part))) {
+      return null;
+    }
+    
+    const [offsetX, offsetY, blur = 0, spread = 0] = lengths.map(parseFloat);
+    return { offsetX, offsetY, blur, spread, color: colorMatch ? colorMatch[0] : '#000000', inset };
+  });
+  
+  return layers.includes(null) ? null : layers;
+}
+
+/**
+ * Collect box-shadow tokens (shadow.md, component.card.shadowHover, ...)
+ * Returns sorted [path, token, layers] entries
+ */
+function getShadowTokens(resolvedTokens) {
+  return Object.entries(resolvedTokens)
+    .filter(([path, token]) => token.type === 'shadow' || path.split('.').some(part => part.startsWith('shadow')))
+    .map(([path, token]) => [path, token, parseShadow(token.resolvedValue)])
+    .filter(([, , layers]) => layers)
+    .sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * The layer that defines a shadow's depth on platforms with a single shadow
+ * (Android elevation, CALayer): the outer layer with the largest blur
+ */
+function getPrimaryShadowLayer(layers) {
+  return layers
+    .filter(layer => !layer.inset)
+    .reduce((primary, layer) => (!primary || layer.blur > primary.blur ? layer : primary), null);
+}
+
+// Color modifiers in token values:
+//   {color.accent.primary} / 0.5          alpha, same as alpha({...}, 0.5)
+//   alpha(<color>, <amount>)              multiply the color's alpha
+//   lighten(<color>, <amount>)            mix with white
+//   darken(<color>, <amount>)             mix with black
+//   mix(<color>, <color>, <amount>)       amount of the second color (default 0.5)
+// Colors are references, literal colors or nested modifiers; amounts are 0-1
+// or percentages. Mixing follows CSS color-mix(in srgb, ...), so precomputed
+// values match the color-mix() written to CSS
+const COLOR_MODIFIERS = {
+  alpha: { colors: 1, amount: true },
+  lighten: { colors: 1, amount: true },
+  darken: { colors: 1, amount: true },
+  mix: { colors: 2, amount: false }
+};
+
+/**
+ * Split a function's arguments on top-level commas
+ */
+function splitArguments(text) {
+  const args = [];
+  let depth = 0;
+  let current = '';
+  
+  for (const char of text) {
+    if (char === ',' && depth === 0) {
+      args.push(current.trim());
+      current = '';
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    current += char;
+  }
+  
+  args.push(current.trim());
+  return args;
+}
+
+/**
+ * Parse an amount (0.5 or 50%) to a 0-1 number, or null
+ */
+function parseAmount(text) {
+  if (!/^\d*\.?\d+%?$/.test(text)) return null;
+  const amount = text.endsWith('%') ? parseFloat(text) / 100 : parseFloat(text);
+  return amount <= 1 ? amount : null;
+}
+
+/**
+ * Parse a color modifier expression into { modifier, colors, amount }, with
+ * colors as { ref }, { literal } or nested expressions
+ * Returns null for values that are not modifiers; throws on malformed modifiers
+ * With flatTokens, `{ref} / n` is only alpha when {ref} is a color (otherwise
+ * it is a division, see parseArithmeticExpression())
+ */
+function parseColorExpression(value, flatTokens) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  
+  const shorthand = text.match(/^(\{[^}]+\}|#[0-9a-fA-F]{3,8}|rgba?\([^)]*\))\s*\/\s*(\S+)$/);
+  if (shorthand) {
+    const operand = parseColorOperand(shorthand[1], flatTokens);
+    if (operand.ref && flatTokens && !parseColor(resolveReference(shorthand[1], flatTokens))) return null;
+    
+    const amount = parseAmount(shorthand[2]);
+    if (amount === null) throw new Error(`invalid alpha "${shorthand[2]}" in "${text}"`);
+    return { modifier: 'alpha', colors: [operand], amount };
+  }
+  
+  const call = text.match(/^([a-z]+)\((.*)\)$/);
+  if (!call || !COLOR_MODIFIERS[call[1]]) return null;
+  
+  const [modifier, argsText] = call.slice(1);
+  const { colors, amount: amountRequired } = COLOR_MODIFIERS[modifier];
+  const args = splitArguments(argsText);
+  const amountText = args[colors];
+  
+  if (args.length < colors + (amountRequired ? 1 : 0) || args.length > colors + 1) {
+    throw new Error(`${modifier}() takes ${colors === 1 ? 'a color' : `${colors} colors`} and ${amountRequired ? 'an' : 'an optional'} amount: "${text}"`);
+  }
+  const amount = amountText === undefined ? 0.5 : parseAmount(amountText);
+  if (amount === null) throw new Error(`invalid amount "${amountText}" in "${text}"`);
+  
+  return { modifier, colors: args.slice(0, colors).map(arg => parseColorOperand(arg, flatTokens)), amount };
+}
+
+/**
+ * Parse a modifier's color argument
+ */
+function parseColorOperand(text, flatTokens) {
+  const ref = text.match(/^\{([^}]+)\}$/);
+  if (ref) return { ref: ref[1] };
+  return parseColorExpression(text, flatTokens) || { literal: text };
+}
+
+/**
+ * Evaluate a parsed color expression to { r, g, b, a }
+ * resolveColor(refPath) returns the resolved value of a reference
+ */
+function evaluateColorExpression(node, resolveColor) {
+  if (node.ref || node.literal) {
+    const value = node.ref ? resolveColor(node.ref) : node.literal;
+    const color = parseColor(value);
+    if (!color) throw new Error(`${node.ref ? `{${node.ref}}` : `"${node.literal}"`} is not a color (${value})`);
+    return color;
+  }
+  
+  const [first, second] = node.colors.map(color => evaluateColorExpression(color, resolveColor));
+  switch (node.modifier) {
+    case 'alpha': return { ...first, a: first.a * node.amount };
+    case 'lighten': return mixColors(first, { r: 255, g: 255, b: 255, a: 1 }, node.amount);
+    case 'darken': return mixColors(first, { r: 0, g: 0, b: 0, a: 1 }, node.amount);
+    default: return mixColors(first, second, node.amount);
+  }
+}
+
+/**
+ * Mix two colors like color-mix(in srgb, a, b <weight>): premultiplied alpha
+ */
+function mixColors(a, b, weight) {
+  const alpha = a.a * (1 - weight) + b.a * weight;
+  const channel = name => (alpha === 0 ? 0 : (a[name] * a.a * (1 - weight) + b[name] * b.a * weight) / alpha);
+  return { r: channel('r'), g: channel('g'), b: channel('b'), a: alpha };
+}
+
+/**
+ * Format { r, g, b, a } as #RRGGBB, or rgba() when translucent
+ */
+function formatColor({ r, g, b, a }) {
+  const [red, green, blue] = [r, g, b].map(channel => Math.round(channel));
+  if (a >= 1) {
+    return `#${[red, green, blue].map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+  }
+  return `rgba(${red}, ${green}, ${blue}, ${Math.round(a * 1000) / 1000})`;
+}
+
+/**
+ * CSS color-mix() for a parsed color expression
+ * toCSSColor(refPath) returns the CSS for a reference (usually var(--...))
+ */
+function toColorMix(node, toCSSColor) {
+  if (node.ref) return toCSSColor(node.ref);
+  if (node.literal) return node.literal;
+  
+  const [first, second] = node.colors.map(color => toColorMix(color, toCSSColor));
+  const percentage = `${Math.round(node.amount * 10000) / 100}%`;
+  switch (node.modifier) {
+    case 'alpha': return `color-mix(in srgb, ${first} ${percentage}, transparent)`;
+    case 'lighten': return `color-mix(in srgb, ${first}, white ${percentage})`;
+    case 'darken': return `color-mix(in srgb, ${first}, black ${percentage})`;
+    default: return `color-mix(in srgb, ${first}, ${second} ${percentage})`;
+  }
+}
+
+// Arithmetic in token values, e.g. {spacing.md} * 2 + {borderWidth.thin}:
+// + - * / and parentheses over references and numbers with optional units.
+// Units are checked: + and - need matching units (or a unitless 0), * needs a
+// unitless side and / a unitless divisor or matching units
+const ARITHMETIC_TOKEN = /\s*(\{[^}]+\}|\d*\.?\d+(?:[a-z]+|%)?|[-+*/()])\s*/y;
+const ARITHMETIC_PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2 };
+
+/**
+ * Parse an arithmetic expression into a tree of { op, left, right },
+ * { negate }, { ref } and { number, unit } nodes
+ * Returns null for values that are not arithmetic (plain numbers, single
+ * references, shadows, ...)
+ */
+function parseArithmeticExpression(value) {
+  if (typeof value !== 'string' || !/[-+*/]/.test(value)) return null;
+  
+  const parts = [];
+  ARITHMETIC_TOKEN.lastIndex = 0;
+  while (ARITHMETIC_TOKEN.lastIndex < value.length) {
+    const match = ARITHMETIC_TOKEN.exec(value);
+    if (!match) return null;
+    parts.push(match[1]);
+  }
+  
+  let position = 0;
+  const parseOperand = () => {
+    const part = parts[position++];
+    if (part === '-') {
+      const operand = parseOperand();
+      return operand && { negate: operand };
+    }
+    if (part === '(') {
+      const inner = parseBinary(1);
+      return parts[position++] === ')' ? inner : null;
+    }
+    if (part && part.startsWith('{')) return { ref: part.slice(1, -1) };
+    return part && !ARITHMETIC_PRECEDENCE[part] && part !== ')' ? parseDimension(part) : null;
+  };
+  const parseBinary = minPrecedence => {
+    let left = parseOperand();
+    while (left && ARITHMETIC_PRECEDENCE[parts[position]] >= minPrecedence) {
+      const op = parts[position++];
+      const right = parseBinary(ARITHMETIC_PRECEDENCE[op] + 1);
+      left = right && { op, left, right };
+    }
+    return left;
+  };
+  
+  const tree = parseBinary(1);
+  if (!tree || position !== parts.length) return null;
+  
+  // A negative literal such as -1px is a plain value
+  const isLiteral = node => node.number !== undefined || (node.negate && isLiteral(node.negate));
+  return tree.op || (tree.negate && !isLiteral(tree)) ? tree : null;
+}
+
+/**
+ * Parse "16px", "1.5" or "-2rem" into { number, unit }, or null
+ */
+function parseDimension(value) {
+  const match = String(value).trim().match(/^(-?\d*\.?\d+)([a-z]+|%)?$/);
+  return match ? { number: parseFloat(match[1]), unit: match[2] || '' } : null;
+}
+
+/**
+ * Format { number, unit } as a token value
+ */
+function formatDimension({ number, unit }) {
+  return `${Math.round(number * 10000) / 10000}${unit}`;
+}
+
+// Unit conversion: absolute lengths convert 1:1 between platforms (1px on the
+// web is 1pt on iOS, 1dp or 1sp on Android and 1 logical pixel in Flutter), rem
+// is relative to the platform's baseFontSize option, and em stays relative to
+// the font size (letter spacing converts to kerning units with toKerning())
+const BASE_FONT_SIZE = 16;
+const ABSOLUTE_UNITS = ['px', 'pt', 'dp', 'sp'];
+
+/**
+ * Convert an absolute length (px, pt, dp, sp, rem or a unitless 0) to px, or null
+ */
+function toPx(value, baseFontSize = BASE_FONT_SIZE) {
+  const dimension = parseDimension(value);
+  if (!dimension) return null;
+  if (ABSOLUTE_UNITS.includes(dimension.unit)) return dimension.number;
+  if (dimension.unit === 'rem') return dimension.number * baseFontSize;
+  return dimension.unit === '' && dimension.number === 0 ? 0 : null;
+}
+
+/**
+ * Whether a token is a length the size transforms convert (a unitless 0 only
+ * when the token is a dimension, not e.g. an opacity, and not letter spacing,
+ * which stays relative like its em siblings)
+ */
+function isLengthToken(token, tokenPath) {
+  const value = token.resolvedValue;
+  if (toPx(value) === null) return false;
+  if (value !== '0') return true;
+  return (token.type || inferTokenType(tokenPath, value)) === 'dimension' && !tokenPath.includes('letterSpacing');
+}
+
+/**
+ * Letter spacing in a platform's kerning unit: 'em' (Android, Compose) or
+ * absolute (iOS points, Flutter logical pixels), converted with the font size
+ */
+function toKerning(letterSpacing, fontSize, unit) {
+  const spacing = parseDimension(letterSpacing);
+  if (!spacing) return 0;
+  
+  const size = parseFloat(fontSize) || BASE_FONT_SIZE;
+  const isEm = spacing.unit === 'em';
+  const kerning = unit === 'em'
+    ? (isEm ? spacing.number : (toPx(letterSpacing) || 0) / size)
+    : (isEm ? spacing.number * size : toPx(letterSpacing) || 0);
+  return Math.round(kerning * 1000) / 1000;
+}
+
+/**
+ * Evaluate a parsed arithmetic expression to { number, unit }
+ * resolveValue(refPath) returns the resolved value of a reference
+ */
+function evaluateArithmetic(node, resolveValue) {
+  if (node.number !== undefined) return node;
+  if (node.ref) {
+    const value = resolveValue(node.ref);
+    const dimension = parseDimension(value);
+    if (!dimension) throw new Error(`{${node.ref}} is not a number (${value})`);
+    return dimension;
+  }
+  if (node.negate) {
+    const operand = evaluateArithmetic(node.negate, resolveValue);
+    return { number: -operand.number, unit: operand.unit };
+  }
+  
+  const left = evaluateArithmetic(node.left, resolveValue);
+  const right = evaluateArithmetic(node.right, resolveValue);
+  const describe = `${formatDimension(left)} ${node.op} ${formatDimension(right)}`;
+  
+  switch (node.op) {
+    case '+':
+    case '-': {
+      const isZero = side => side.number === 0 && !side.unit;
+      if (left.unit !== right.unit && !isZero(left) && !isZero(right)) {
+        throw new Error(`mismatched units in ${describe}`);
+      }
+      const number = node.op === '+' ? left.number + right.number : left.number - right.number;
+      return { number, unit: left.unit || right.unit };
+    }
+    case '*':
+      if (left.unit && right.unit) throw new Error(`cannot multiply two dimensions in ${describe}`);
+      return { number: left.number * right.number, unit: left.unit || right.unit };
+    default:
+      if (right.number === 0) throw new Error(`division by zero in ${describe}`);
+      if (right.unit && right.unit !== left.unit) throw new Error(`mismatched units in ${describe}`);
+      return { number: left.number / right.number, unit: right.unit ? '' : left.unit };
+  }
+}
+
+/**
+ * CSS calc() body for a parsed arithmetic expression
+ * toCSSValue(refPath) returns the CSS for a reference (usually var(--...))
+ */
+function toCalc(node, toCSSValue) {
+  if (node.number !== undefined) return formatDimension(node);
+  if (node.ref) return toCSSValue(node.ref);
+  
+  // calc() has no unary minus for var(), so negation is a multiplication
+  if (node.negate) return toCalc({ op: '*', left: { number: -1, unit: '' }, right: node.negate }, toCSSValue);
+  
+  const precedence = ARITHMETIC_PRECEDENCE[node.op];
+  const wrap = (child, minPrecedence) => {
+    const css = toCalc(child, toCSSValue);
+    const childPrecedence = child.op ? ARITHMETIC_PRECEDENCE[child.op] : child.negate ? 2 : 3;
+    return childPrecedence < minPrecedence ? `(${css})` : css;
+  };
+  
+  // The right side of - and / needs parentheses at equal precedence
+  const rightPrecedence = node.op === '-' || node.op === '/' ? precedence + 1 : precedence;
+  return `${wrap(node.left, precedence)} ${node.op} ${wrap(node.right, rightPrecedence)}`;
+}
+
+/**
+ * Give a unitless 0 added to or subtracted from a dimension the dimension's
+ * unit: calc() rejects 10px + 0, so {spacing.md} + {spacing.none} becomes
+ * calc(var(--spacing-md) + 0px), which still follows --spacing-md
+ */
+function withZeroUnits(node, resolveValue) {
+  if (node.negate) return { negate: withZeroUnits(node.negate, resolveValue) };
+  if (!node.op) return node;
+  
+  const left = withZeroUnits(node.left, resolveValue);
+  const right = withZeroUnits(node.right, resolveValue);
+  if (node.op === '+' || node.op === '-') {
+    const isZero = side => side.number === 0 && !side.unit;
+    const leftValue = evaluateArithmetic(left, resolveValue);
+    const rightValue = evaluateArithmetic(right, resolveValue);
+    if (isZero(leftValue) && rightValue.unit) return { op: node.op, left: { number: 0, unit: rightValue.unit }, right };
+    if (isZero(rightValue) && leftValue.unit) return { op: node.op, left, right: { number: 0, unit: leftValue.unit } };
+  }
+  return { op: node.op, left, right };
+}
+
+/**
+ * Whether calc() can express an expression: it cannot divide by a dimension or
+ * add a unitless number to a dimension, so those are written computed (see
+ * withZeroUnits() for unitless zeros)
+ */
+function isCalcCompatible(node, resolveValue) {
+  if (!node.op) return !node.negate || isCalcCompatible(node.negate, resolveValue);
+  
+  const left = evaluateArithmetic(node.left, resolveValue);
+  const right = evaluateArithmetic(node.right, resolveValue);
+  if (node.op === '/' && right.unit) return false;
+  if ((node.op === '+' || node.op === '-') && left.unit !== right.unit) return false;
+  return isCalcCompatible(node.left, resolveValue) && isCalcCompatible(node.right, resolveValue);
+}
+
+/**
+ * Whether a token value is a color modifier or arithmetic expression, which
+ * formats without an equivalent (DTCG, ...) write resolved
+ */
+function isComputedValue(value, flatTokens) {
+  return Boolean(parseColorExpression(value, flatTokens) || parseArithmeticExpression(value));
+}
+
+/**
+ * Error message for a malformed color modifier or arithmetic expression, or
+ * one applied to the wrong kind of value, or null
+ */
+function findExpressionError(value, flatTokens) {
+  const resolveRef = refPath => resolveReference(`{${refPath}}`, flatTokens);
+  try {
+    const colorExpression = parseColorExpression(value, flatTokens);
+    if (colorExpression) {
+      evaluateColorExpression(colorExpression, resolveRef);
+      return null;
+    }
+  } catch (error) {
+    return `invalid color modifier: ${error.message}`;
+  }
+  
+  try {
+    const arithmetic = parseArithmeticExpression(value);
+    if (arithmetic) evaluateArithmetic(arithmetic, resolveRef);
+    return null;
+  } catch (error) {
+    return `invalid expression: ${error.message}`;
+  }
+}
+
+/**
+ * Generate CSS for a theme
+ * Uses cssValue which preserves references as var() for component tokens.
+ * With baseTokens (the default theme), only tokens that differ from it are
+ * written; a var() token is kept when the value it resolves to differs, so it
+ * is recomputed inside the theme's scope
+ */
+function generateThemeCSS(resolvedTokens, theme, isDefault = false, baseTokens = null) {
+  const selectors = isDefault 
+    ? [':root', `[data-theme="${theme}"]`]
+    : [`[data-theme="${theme}"]`];
+  
+  return formatCSSBlock(selectors, getCSSDeclarations(resolvedTokens, baseTokens));
+}
+
+/**
+ * Custom property declarations ([name, value]) for a theme, sorted by token
+ * path, leaving out tokens that match baseTokens (see generateThemeCSS), or
+ * that match every one of several baseTokens
+ */
+function getCSSDeclarations(resolvedTokens, baseTokens = null) {
+  const declarations = [];
+  const bases = [].concat(baseTokens || []);
+  
+  // Sort by token path
+  const sorted = Object.entries(resolvedTokens).sort(([a], [b]) => a.localeCompare(b));
+  
+  for (const [path, token] of sorted) {
+    // Use cssValue for CSS output (preserves var() references)
+    const value = token.cssValue;
+    const matches = base => base[path] && base[path].cssValue === value && base[path].resolvedValue === token.resolvedValue;
+    if (bases.length > 0 && bases.every(matches)) continue;
+    if (value && typeof value === 'string') {
+      declarations.push([token.name || toCSSVarName(path), value, cssDeprecationComment(token, resolvedTokens)]);
+    }
+  }
+  
+  return declarations;
+}
+
+/**
+ * Trailing CSS comment flagging a deprecated token, or null
+ */
+function cssDeprecationComment(token, resolvedTokens) {
+  return token.deprecated ? `/* Deprecated: ${getDeprecationMessage(token, resolvedTokens, toCSSVarName)} */` : null;
+}
+
+/**
+ * Format a CSS rule, e.g. formatCSSBlock([':root'], [['--x', '1px']], '  ')
+ * A declaration may carry a trailing comment as its third element
+ */
+function formatCSSBlock(selectors, declarations, indent = '') {
+  const lines = [`${indent}${[...new Set(selectors)].join(', ')} {`];
+  for (const [name, value, comment] of declarations) {
+    lines.push(`${indent}  ${name}: ${value};${comment ? ` ${comment}` : ''}`);
+  }
+  lines.push(`${indent}}`);
+  return lines.join('\n');
+}
+
+/**
+ * Tokens whose CSS or resolved value differs from baseTokens
+ */
+function getChangedTokens(resolvedTokens, baseTokens) {
+  const changed = {};
+  for (const [path, token] of Object.entries(resolvedTokens)) {
+    const base = baseTokens[path];
+    if (!base || base.cssValue !== token.cssValue || base.resolvedValue !== token.resolvedValue) {
+      changed[path] = token;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Generate CSS for mode combinations (see getModeCombinations)
+ * 
+ * Each combination gets a block such as [data-density="compact"] with the
+ * tokens that differ from the default theme. For the other themes, a combined
+ * block such as [data-theme="advance-dark"][data-density="compact"] (or the mode
+ * set inside the theme's element) holds what the theme and mode blocks don't
+ * already give that combination; it is left out when empty. Mode blocks come
+ * after theme blocks, unless themesLoadLast (split theme files)
+ * 
+ * Returns { modeCSS, themeCSS: { [theme]: css } }
+ */
+function generateModeCSS(themeOutputs, modeOutputs, themes, modes, themesLoadLast = false) {
+  const baseTokens = themeOutputs[themes[0]];
+  const modeBlocks = [];
+  const themeBlocks = {};
+  
+  for (const combination of getModeCombinations(modes)) {
+    const outputs = modeOutputs[toModeKey(combination)];
+    if (!outputs) continue;
+    
+    const modeSelector = Object.entries(combination).map(([axis, value]) => `[data-${axis}="${value}"]`).join('');
+    const modeTokens = outputs[themes[0]];
+    modeBlocks.push(formatCSSBlock([modeSelector], getCSSDeclarations(modeTokens, baseTokens)));
+    
+    const modeChanges = getChangedTokens(modeTokens, baseTokens);
+    
+    for (const theme of themes.slice(1)) {
+      const combinationTokens = outputs[theme];
+      const themeChanges = getChangedTokens(themeOutputs[theme], baseTokens);
+      
+      // The mode block's var() declarations are recomputed within the theme
+      const modeValues = {};
+      for (const [path, token] of Object.entries(modeChanges)) {
+        const combined = combinationTokens[path];
+        modeValues[path] = combined && combined.cssValue === token.cssValue ? combined : token;
+      }
+      
+      // A mode set inside the theme's element always wins; on the same
+      // element, the block that comes last does
+      const cascades = [{ ...baseTokens, ...themeChanges, ...modeValues }];
+      if (themesLoadLast) cascades.push({ ...baseTokens, ...modeValues, ...themeChanges });
+      
+      const declarations = getCSSDeclarations(combinationTokens, cascades);
+      if (declarations.length === 0) continue;
+      
+      const themeSelector = `[data-theme="${theme}"]`;
+      themeBlocks[theme] = [
+        ...(themeBlocks[theme] || []),
+        formatCSSBlock([`${themeSelector}${modeSelector}`, `${themeSelector} ${modeSelector}`], declarations)
+      ];
+    }
+  }
+  
+  const themeCSS = {};
+  for (const [theme, blocks] of Object.entries(themeBlocks)) {
+    themeCSS[theme] = blocks.join('\n\n');
+  }
+  return { modeCSS: modeBlocks.join('\n\n'), themeCSS };
+}
+
+/**
+ * Generate CSS that follows the OS color scheme, pairing each theme family's
+ * light and dark themes (see getThemeFamilies)
+ * 
+ * The default family's light theme is applied to :root. data-theme takes a
+ * family name (data-theme="advance") to follow the OS setting within that
+ * family, or a theme name (data-theme="advance-dark") to force one theme.
+ * Other families' blocks leave out only the tokens that match both default
+ * themes, since :root may be in either scheme when they inherit from it.
+ * 
+ * mode 'media':      dark values in @media (prefers-color-scheme: dark) blocks
+ * mode 'light-dark': colors as light-dark(light, dark) picked by color-scheme,
+ *                    with @media blocks only for non-color tokens that differ
+ */
+function generateColorSchemeCSS(themeOutputs, themes, mode) {
+  if (mode !== 'media' && mode !== 'light-dark') {
+    throw new Error(`Unknown colorScheme "${mode}" (expected "media" or "light-dark")`);
+  }
+  
+  const families = getThemeFamilies(themes);
+  const defaultFamily = families.find(family => family.light === themes[0] || family.dark === themes[0]);
+  const baseLight = themeOutputs[defaultFamily.light];
+  const baseDark = themeOutputs[defaultFamily.dark];
+  const blocks = [];
+  const mediaBlocks = [];
+  const themeBlocks = [];
+  
+  for (const family of families) {
+    const isDefault = family === defaultFamily;
+    const isPair = family.light !== family.dark;
+    const light = themeOutputs[family.light];
+    const dark = themeOutputs[family.dark];
+    const followSelectors = isDefault
+      ? [':root:not([data-theme])', `[data-theme="${family.name}"]`]
+      : [`[data-theme="${family.name}"]`];
+    
+    if (mode === 'media' || !isPair) {
+      blocks.push(formatCSSBlock(
+        [...(isDefault ? [':root'] : []), `[data-theme="${family.light}"]`, `[data-theme="${family.name}"]`],
+        getCSSDeclarations(light, isDefault ? null : [baseLight, baseDark])
+      ));
+      if (isPair) {
+        mediaBlocks.push(formatCSSBlock(followSelectors, getCSSDeclarations(dark, light), '  '));
+        themeBlocks.push(generateThemeCSS(dark, family.dark, false, [baseLight, baseDark]));
+      }
+      continue;
+    }
+    
+    // light-dark(): one declaration per token serves both schemes, following
+    // color-scheme; non-color differences need the dark value declared separately
+    const declarations = [['color-scheme', 'light dark']];
+    const darkDeclarations = [];
+    const sorted = Object.entries(light).sort(([a], [b]) => a.localeCompare(b));
+    
+    for (const [path, lightToken] of sorted) {
+      const darkToken = dark[path] || lightToken;
+      const value = toLightDarkValue(lightToken, darkToken);
+      if (!value) continue;
+      
+      // :root declares a non-color token's dark value in @media blocks only,
+      // so a token is inherited only when light-dark() picks its value or both
+      // default themes agree on it
+      if (!isDefault && baseLight[path] && baseDark[path]) {
+        const baseValue = toLightDarkValue(baseLight[path], baseDark[path]);
+        const unchanged = baseValue === value &&
+          baseLight[path].resolvedValue === lightToken.resolvedValue &&
+          baseDark[path].resolvedValue === darkToken.resolvedValue &&
+          (baseValue.startsWith('light-dark(') || (baseLight[path].cssValue === baseDark[path].cssValue &&
+            baseLight[path].resolvedValue === baseDark[path].resolvedValue));
+        if (unchanged) continue;
+      }
+      
+      const name = lightToken.name || toCSSVarName(path);
+      declarations.push([name, value, cssDeprecationComment(lightToken, light)]);
+      
+      const isColorPair = isColor(lightToken.resolvedValue) && isColor(darkToken.resolvedValue);
+      const differs = lightToken.cssValue !== darkToken.cssValue || lightToken.resolvedValue !== darkToken.resolvedValue;
+      if (!isColorPair && differs && typeof darkToken.cssValue === 'string') {
+        darkDeclarations.push([name, darkToken.cssValue]);
+      }
+    }
+    
+    blocks.push(formatCSSBlock(
+      [...(isDefault ? [':root'] : []), `[data-theme="${family.name}"]`, `[data-theme="${family.light}"]`, `[data-theme="${family.dark}"]`],
+      declarations
+    ));
+    themeBlocks.push(formatCSSBlock([`[data-theme="${family.light}"]`], [['color-scheme', 'light']]));
+    themeBlocks.push(formatCSSBlock([`[data-theme="${family.dark}"]`], [['color-scheme', 'dark'], ...darkDeclarations]));
+    if (darkDeclarations.length > 0) {
+      mediaBlocks.push(formatCSSBlock(followSelectors, darkDeclarations, '  '));
+    }
+  }
+  
+  if (mediaBlocks.length > 0) {
+    blocks.push(`@media (prefers-color-scheme: dark) {\n${mediaBlocks.join('\n\n')}\n}`);
+  }
+  
+  return [...blocks, ...themeBlocks].join('\n\n');
+}
+
+/**
+ * CSS value for a token in light-dark mode: light-dark(light, dark) for colors
+ * whose CSS differs between the two themes, otherwise the light value
+ */
+function toLightDarkValue(lightToken, darkToken) {
+  const lightValue = lightToken.cssValue;
+  const darkValue = darkToken.cssValue;
+  if (!lightValue || typeof lightValue !== 'string') return null;
+  
+  if (lightValue !== darkValue && isColor(lightToken.resolvedValue) && isColor(darkToken.resolvedValue)) {
+    return `light-dark(${lightValue}, ${darkValue})`;
+  }
+  return lightValue;
+}
+
+/**
+ * Resolved (literal) token values for Sass/Less maps, keyed like the CSS
+ * custom properties without the leading dashes (color-text-primary)
+ */
+function getPreprocessorEntries(resolvedTokens) {
+  return Object.entries(resolvedTokens)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .filter(([, token]) => typeof token.resolvedValue === 'string' || typeof token.resolvedValue === 'number')
+    .map(([path, token]) => [(token.name || toCSSVarName(path)).replace(/^--/, ''), String(token.resolvedValue)]);
+}
+
+/**
+ * Generate SCSS: a map per theme, a token() function and a theme() mixin.
+ * Sticks to global Sass functions (map-get, str-slice, ...) so it also
+ * compiles with LibSass. mode names the mode combination the themes were built with
+ */
+function generateSCSS(themeOutputs, themes, mode = null) {
+  const lines = [];
+  lines.push('// Design Tokens');
+  lines.push(`// Generated on ${new Date().toUTCString()}`);
+  lines.push('//');
+  lines.push(`// Themes: ${themes.join(', ')}`);
+  if (mode) lines.push(`// Mode: ${mode}`);
+  lines.push('');
+  lines.push(`$tokens-default-theme: '${themes[0]}' !default;`);
+  lines.push('');
+  
+  for (const theme of themes) {
+    lines.push(`$tokens-${theme}: (`);
+    const entries = getPreprocessorEntries(themeOutputs[theme]);
+    entries.forEach(([key, value], index) => {
+      // Parentheses keep comma-separated values (shadows, font stacks) from splitting the map
+      const scssValue = value === '' ? "''" : value.includes(',') ? `(${value})` : value;
+      lines.push(`  '${key}': ${scssValue}${index < entries.length - 1 ? ',' : ''}`);
+    });
+    lines.push(');');
+    lines.push('');
+  }
+  
+  lines.push('$tokens-themes: (');
+  themes.forEach((theme, index) => {
+    lines.push(`  '${theme}': $tokens-${theme}${index < themes.length - 1 ? ',' : ''}`);
+  });
+  lines.push(');');
+  lines.push('');
+  lines.push('// Convert a token path (color.text.primary) to its map key (color-text-primary)');
+  lines.push('@function tokens-key($path) {');
+  lines.push("  $key: '';");
+  lines.push('  @for $i from 1 through str-length($path) {');
+  lines.push('    $char: str-slice($path, $i, $i);');
+  lines.push("    $key: $key + if($char == '.', '-', $char);");
+  lines.push('  }');
+  lines.push('  @return $key;');
+  lines.push('}');
+  lines.push('');
+  lines.push('@function tokens-theme($name) {');
+  lines.push('  @if not map-has-key($tokens-themes, $name) {');
+  lines.push(`    @error "Unknown theme '#{$name}'. Available themes: ${themes.join(', ')}";`);
+  lines.push('  }');
+  lines.push('  @return map-get($tokens-themes, $name);');
+  lines.push('}');
+  lines.push('');
+  lines.push("// Token value for a path, e.g. token('color.text.primary', 'classic-dark')");
+  lines.push('@function token($path, $theme: $tokens-default-theme) {');
+  lines.push('  $tokens: tokens-theme($theme);');
+  lines.push('  $key: tokens-key($path);');
+  lines.push('  @if not map-has-key($tokens, $key) {');
+  lines.push(`    @error "Unknown token '#{$path}' in theme '#{$theme}'";`);
+  lines.push('  }');
+  lines.push('  @return map-get($tokens, $key);');
+  lines.push('}');
+  lines.push('');
+  lines.push("// Custom properties for a theme, e.g. [data-theme='classic-dark'] { @include theme('classic-dark'); }");
+  lines.push("// inspect() keeps the quotes of multi-word font families ('Segoe UI')");
+  lines.push('@mixin theme($name) {');
+  lines.push('  @each $key, $value in tokens-theme($name) {');
+  lines.push('    --#{$key}: #{inspect($value)};');
+  lines.push('  }');
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Generate Less: a map (detached ruleset) per theme, a .token() mixin to look
+ * values up and a guarded .theme() mixin per theme. Requires Less 3.5+ for map lookups;
+ * an unknown theme or path fails to compile. mode names the mode combination the
+ * themes were built with
+ */
+function generateLess(themeOutputs, themes, mode = null) {
+  const lines = [];
+  lines.push('// Design Tokens');
+  lines.push(`// Generated on ${new Date().toUTCString()}`);
+  lines.push('//');
+  lines.push(`// Themes: ${themes.join(', ')}`);
+  if (mode) lines.push(`// Mode: ${mode}`);
+  lines.push('');
+  lines.push(`@tokens-default-theme: ${themes[0]};`);
+  lines.push('');
+  lines.push('@tokens: {');
+  
+  for (const theme of themes) {
+    lines.push(`  @${theme}: {`);
+    for (const [key, value] of getPreprocessorEntries(themeOutputs[theme])) {
+      lines.push(`    @${key}: ${value === '' ? '~""' : value};`);
+    }
+    lines.push('  }');
+  }
+  
+  lines.push('}');
+  lines.push('');
+  lines.push("// Token value for a path; unknown themes or paths fail to compile:");
+  lines.push("//   color: .token('color.text.primary')[@result];");
+  lines.push("//   color: .token('color.text.primary'; classic-dark)[@result];");
+  lines.push('.token(@path; @theme: @tokens-default-theme) {');
+  lines.push("  @key: e(replace('@{path}', '\\.', '-', 'g'));");
+  lines.push('  @result: @tokens[@@theme][@@key];');
+  lines.push('}');
+  lines.push('');
+  lines.push("// Custom properties for a theme, e.g. [data-theme='classic-dark'] { .theme(classic-dark); }");
+  
+  for (const theme of themes) {
+    lines.push(`.theme(@name) when (@name = ${theme}) {`);
+    for (const [key, value] of getPreprocessorEntries(themeOutputs[theme])) {
+      lines.push(`  --${key}: ${value === '' ? '~""' : value};`);
+    }
+    lines.push('}');
+    lines.push('');
+  }
+  
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Camel-case identifier for a theme, e.g. classic-dark → classicDark
+ */
+function toThemeIdentifier(theme) {
+  const name = toPascalCase(theme);
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+/**
+ * JSDoc for a token in TypeScript declarations (description, @deprecated)
+ */
+function tsTokenAnnotations(token) {
+  const doc = getTokenDoc(token);
+  const deprecated = token.deprecated
+    ? `@deprecated ${getDeprecationMessage(token, {}, refPath => `'${refPath}'`)}`
+    : '';
+  if (!doc && !deprecated) return [];
+  return [`  /** ${[doc, deprecated].filter(Boolean).join(' ')} */`];
+}
+
+/**
+ * Generate JS token modules: one flat module per theme (token path → resolved
+ * value) and a combined index with getToken(), as ES modules and CommonJS.
+ * mode names the mode combination the themes were built with
+ * Returns { 'esm/classic-light.js': ..., 'cjs/index.d.ts': ..., ... }
+ */
+function generateJSModules(themeOutputs, themes, mode = null) {
+  const files = {};
+  const header = description => [
+    `// Design Tokens - ${description}${mode ? ` (${mode})` : ''}`,
+    `// Generated on ${new Date().toUTCString()}`,
+    ''
+  ];
+  const tokenPaths = [...new Set(themes.flatMap(theme => Object.keys(themeOutputs[theme])))].sort();
+  
+  for (const theme of themes) {
+    const entries = Object.entries(themeOutputs[theme])
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([path, token]) => [path, token.resolvedValue]);
+    const body = entries.map(([path, value]) => `  ${JSON.stringify(path)}: ${JSON.stringify(value)}`).join(',\n');
+    
+    files[`esm/${theme}.js`] = [...header(theme), 'export const tokens = {', body, '};', '', 'export default tokens;'].join('\n');
+    files[`cjs/${theme}.js`] = [...header(theme), '\'use strict\';', '', 'const tokens = {', body, '};', '', 'exports.tokens = tokens;', 'exports.default = tokens;'].join('\n');
+    
+    const declaration = [
+      ...header(theme),
+      'export declare const tokens: {',
+      ...entries.flatMap(([path, value]) => [
+        ...tsTokenAnnotations(themeOutputs[theme][path]),
+        `  readonly ${JSON.stringify(path)}: ${typeof value === 'number' ? 'number' : 'string'};`
+      ]),
+      '};',
+      '',
+      'export default tokens;'
+    ].join('\n');
+    files[`esm/${theme}.d.ts`] = declaration;
+    files[`cjs/${theme}.d.ts`] = declaration;
+  }
+  
+  const themeList = themes.map(theme => `'${theme}'`).join(', ');
+  const themeMap = themes.map(theme => `  '${theme}': ${toThemeIdentifier(theme)}`).join(',\n');
+  const getToken = [
+    `function getToken(path, theme = '${themes[0]}') {`,
+    '  const themeTokens = tokens[theme];',
+    '  if (!themeTokens) {',
+    '    throw new Error(`Unknown theme "${theme}"`);',
+    '  }',
+    '  if (!Object.prototype.hasOwnProperty.call(themeTokens, path)) {',
+    '    throw new Error(`Unknown token "${path}" in theme "${theme}"`);',
+    '  }',
+    '  return themeTokens[path];',
+    '}'
+  ];
+  
+  files['esm/index.js'] = [
+    ...header('All themes'),
+    ...themes.map(theme => `import ${toThemeIdentifier(theme)} from './${theme}.js';`),
+    '',
+    `export const themes = [${themeList}];`,
+    `export const defaultTheme = '${themes[0]}';`,
+    '',
+    'export const tokens = {',
+    themeMap,
+    '};',
+    '',
+    `export ${getToken[0]}`,
+    ...getToken.slice(1),
+    '',
+    'export default tokens;'
+  ].join('\n');
+  
+  files['cjs/index.js'] = [
+    ...header('All themes'),
+    '\'use strict\';',
+    '',
+    ...themes.map(theme => `const { tokens: ${toThemeIdentifier(theme)} } = require('./${theme}.js');`),
+    '',
+    `const themes = [${themeList}];`,
+    `const defaultTheme = '${themes[0]}';`,
+    '',
+    'const tokens = {',
+    themeMap,
+    '};',
+    '',
+    ...getToken,
+    '',
+    'exports.themes = themes;',
+    'exports.defaultTheme = defaultTheme;',
+    'exports.tokens = tokens;',
+    'exports.getToken = getToken;',
+    'exports.default = tokens;'
+  ].join('\n');
+  
+  const indexDeclaration = [
+    ...header('All themes'),
+    ...themes.map(theme => `import ${toThemeIdentifier(theme)} from './${theme}.js';`),
+    '',
+    `export type ThemeName = ${themes.map(theme => `'${theme}'`).join(' | ')};`,
+    '',
+    'export type TokenPath =',
+    tokenPaths.map(path => `  | ${JSON.stringify(path)}`).join('\n') + ';',
+    '',
+    'export type TokenValue = string | number;',
+    '',
+    'export declare const themes: readonly ThemeName[];',
+    `export declare const defaultTheme: '${themes[0]}';`,
+    '',
+    'export declare const tokens: {',
+    ...themes.map(theme => `  readonly '${theme}': typeof ${toThemeIdentifier(theme)};`),
+    '};',
+    '',
+    '/** Look up a token value; unknown paths and themes are type errors */',
+    'export declare function getToken(path: TokenPath, theme?: ThemeName): TokenValue;',
+    '',
+    'export default tokens;'
+  ].join('\n');
+  files['esm/index.d.ts'] = indexDeclaration;
+  files['cjs/index.d.ts'] = indexDeclaration;
+  
+  // Let Node pick the module system from the folder, whatever the app's package type
+  files['esm/package.json'] = JSON.stringify({ type: 'module' }, null, 2);
+  files['cjs/package.json'] = JSON.stringify({ type: 'commonjs' }, null, 2);
+  
+  return files;
+}
+
+// Tailwind theme key → token group it is generated from
+const TAILWIND_THEME_KEYS = {
+  colors: 'color',
+  spacing: 'spacing',
+  borderRadius: 'borderRadius',
+  borderWidth: 'borderWidth',
+  boxShadow: 'shadow',
+  fontSize: 'typography.fontSize',
+  fontWeight: 'typography.fontWeight',
+  lineHeight: 'typography.lineHeight',
+  letterSpacing: 'typography.letterSpacing'
+};
+
+/**
+ * Generate a Tailwind CSS preset whose theme values are the var(--...) custom
+ * properties from tokens.css, so data-theme switching keeps working.
+ * Values extend Tailwind's default theme rather than replacing it, and the raw
+ * palette stays out of the utilities (as it does on Android).
+ * Nested groups become nested keys (color.text.primary → text-text-primary)
+ */
+function generateTailwindPreset(themeOutputs, themes) {
+  const extend = {};
+  
+  for (const [themeKey, groupPath] of Object.entries(TAILWIND_THEME_KEYS)) {
+    extend[themeKey] = {};
+    const prefix = `${groupPath}.`;
+    
+    for (const themeName of themes) {
+      const sorted = Object.entries(themeOutputs[themeName]).sort(([a], [b]) => a.localeCompare(b));
+      for (const [path, token] of sorted) {
+        if (!path.startsWith(prefix) || path.startsWith('color.rawColors.')) continue;
+        
+        const keys = path.slice(prefix.length).split('.');
+        const parent = keys.slice(0, -1).reduce((group, key) => (group[key] = group[key] || {}), extend[themeKey]);
+        parent[keys[keys.length - 1]] = `var(${token.name || toCSSVarName(path)})`;
+      }
+    }
+  }
+  
+  const lines = [];
+  lines.push('/**');
+  lines.push(' * Design Tokens - Tailwind CSS preset');
+  lines.push(` * Generated on ${new Date().toUTCString()}`);
+  lines.push(' *');
+  lines.push(' * Values are CSS custom properties: load tokens.css and switch themes with data-theme.');
+  lines.push(' * Usage: module.exports = { presets: [require(\'./tailwind.preset.js\')], ... }');
+  lines.push(' */');
+  lines.push('');
+  lines.push(`module.exports = ${JSON.stringify({ theme: { extend } }, null, 2)};`);
+  return lines.join('\n');
+}
+
+/**
+ * Generate Android colors.xml for a theme
+ */
+function generateAndroidColors(resolvedTokens, theme, prefix = '') {
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push('');
+  lines.push('<!--');
+  lines.push(`  Design Tokens - ${theme} theme`);
+  lines.push(`  Generated on ${new Date().toUTCString()}`);
+  lines.push('-->');
+  lines.push('<resources>');
+  
+  const sorted = Object.entries(resolvedTokens).sort(([a], [b]) => a.localeCompare(b));
+  
+  for (const [path, token] of sorted) {
+    const value = token.resolvedValue;
+    if (isColor(value)) {
+      const androidColor = hexToAndroidColor(value);
+      if (androidColor) {
+        const resourceName = prefix + (token.name || toAndroidResourceName(path));
+        lines.push(`  <color name="${resourceName}">${androidColor}</color>`);
+      }
+    }
+  }
+  
+  lines.push('</resources>');
+  return lines.join('\n');
+}
+
+/**
+ * Check if a token is a semantic (non-raw) color, exposed as a theme attribute
+ */
+function isSemanticColor(tokenPath, token) {
+  return isColor(token.resolvedValue) && !tokenPath.startsWith('color.rawColors.');
+}
+
+/**
+ * Generate Android attrs.xml declaring one color attribute per semantic color
+ */
+function generateAndroidAttrs(resolvedTokens) {
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push('');
+  lines.push('<!--');
+  lines.push('  Design Tokens - Theme attributes');
+  lines.push(`  Generated on ${new Date().toUTCString()}`);
+  lines.push('-->');
+  lines.push('<resources>');
+  
+  const sorted = Object.entries(resolvedTokens).sort(([a], [b]) => a.localeCompare(b));
+  
+  for (const [path, token] of sorted) {
+    if (isSemanticColor(path, token)) {
+      lines.push(`  <attr name="${toAndroidAttrName(path)}" format="color" />`);
+    }
+  }
+  
+  lines.push('</resources>');
+  return lines.join('\n');
+}
+
+/**
+ * Generate Android themes.xml with one theme overlay per theme family
+ * Each overlay maps the semantic attributes to that family's colors; light/dark
+ * switching comes from the values-night color resources. Overlays have no parent,
+ * so they are applied on top of the app's theme rather than used as one
+ * 
+ * families: [{ name, light, prefix }], where prefix is the family's color resource prefix
+ */
+function generateAndroidThemes(themeOutputs, families) {
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push('');
+  lines.push('<!--');
+  lines.push('  Design Tokens - Themes');
+  lines.push('  Theme overlays: apply on top of the app theme with');
+  lines.push('  theme.applyStyle(R.style.ThemeOverlay_Tokens_<Family>, true), not setTheme()');
+  lines.push(`  Generated on ${new Date().toUTCString()}`);
+  lines.push('-->');
+  lines.push('<resources>');
+  
+  for (const family of families) {
+    const resolvedTokens = themeOutputs[family.light];
+    const sorted = Object.entries(resolvedTokens).sort(([a], [b]) => a.localeCompare(b));
+    
+    lines.push(`  <style name="ThemeOverlay.Tokens.${toPascalCase(family.name)}" parent="">`);
+    for (const [path, token] of sorted) {
+      if (isSemanticColor(path, token) && hexToAndroidColor(token.resolvedValue)) {
+        const resourceName = family.prefix + (token.name || toAndroidResourceName(path));
+        lines.push(`    <item name="${toAndroidAttrName(path)}">@color/${resourceName}</item>`);
+      }
+    }
+    lines.push('  </style>');
+  }
+  
+  lines.push('</resources>');
+  return lines.join('\n');
+}
+
+/**
+ * Generate Android dimens.xml (shared across themes)
+ * For a mode combination (e.g. density-compact), resource names are prefixed
+ * with it: density_compact_spacing_md
+ */
+function generateAndroidDimens(resolvedTokens, mode = null) {
+  const prefix = mode ? `${toModeSnakeCase(mode)}_` : '';
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push('');
+  lines.push('<!--');
+  lines.push(`  Design Tokens - Dimensions${mode ? ` (${mode})` : ''}`);
+  lines.push(`  Generated on ${new Date().toUTCString()}`);
+  lines.push('-->');
+  lines.push('<resources>');
+  
+  const sorted = Object.entries(resolvedTokens).sort(([a], [b]) => a.localeCompare(b));
+  
+  for (const [path, token] of sorted) {
+    const value = token.resolvedValue;
+    if (typeof value === 'string' && value.endsWith('dp')) {
+      const resourceName = prefix + (token.name || toAndroidResourceName(path));
+      lines.push(`  <dimen name="${resourceName}">${value}</dimen>`);
+    }
+  }
+  
+  lines.push('</resources>');
+  return lines.join('\n');
+}
+
+/**
+ * Generate Android font dimens (shared across themes)
+ */
+function generateAndroidFontDimens(resolvedTokens) {
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push('');
+  lines.push('<!--');
+  lines.push('  Design Tokens - Font Dimensions');
+  lines.push(`  Generated on ${new Date().toUTCString()}`);
+  lines.push('-->');
+  lines.push('<resources>');
+  
+  const sorted = Object.entries(resolvedTokens).sort(([a], [b]) => a.localeCompare(b));
+  
+  for (const [path, token] of sorted) {
+    const value = token.resolvedValue;
+    if (typeof value === 'string' && value.endsWith('sp')) {
+      const resourceName = token.name || toAndroidResourceName(path);
+      lines.push(`  <dimen name="${resourceName}">${value}</dimen>`);
+    }
+  }
+  
+  lines.push('</resources>');
+  return lines.join('\n');
+}
+
+/**
+ * Generate Android TextAppearance styles for the heading and body typography composites
+ */
+function generateAndroidTextAppearances(resolvedTokens) {
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push('');
+  lines.push('<!--');
+  lines.push('  Design Tokens - Text appearances');
+  lines.push(`  Generated on ${new Date().toUTCString()}`);
+  lines.push('-->');
+  lines.push('<resources>');
+  
+  for (const [styleName, style] of Object.entries(getTypographyStyles(resolvedTokens))) {
+    const name = styleName.split('.').map(p => p.charAt(0).toUpperCase() + p.slice(1)).join('.');
+    lines.push(`  <style name="TextAppearance.Tokens.${name}" parent="">`);
+    
+    if (style.fontSize) {
+      lines.push(`    <item name="android:textSize">${parseFloat(style.fontSize)}sp</item>`);
+    }
+    if (style.fontWeight) {
+      const weight = parseInt(style.fontWeight, 10);
+      // textStyle is the fallback for devices without textFontWeight (API < 28)
+      lines.push(`    <item name="android:textStyle">${weight >= 600 ? 'bold' : 'normal'}</item>`);
+      lines.push(`    <item name="android:textFontWeight">${weight}</item>`);
+    }
+    if (style.lineHeight && style.fontSize) {
+      lines.push(`    <item name="android:lineHeight">${toLineHeightPx(style.lineHeight, style.fontSize)}sp</item>`);
+    }
+    if (style.letterSpacing) {
+      // Android letter spacing is in ems
+      lines.push(`    <item name="android:letterSpacing">${toKerning(style.letterSpacing, style.fontSize, 'em')}</item>`);
+    }
+    
+    lines.push('  </style>');
+  }
+  
+  lines.push('</resources>');
+  return lines.join('\n');
+}
+
+/**
+ * Generate Android shadow resources: an elevation dimen (the primary layer's
+ * y-offset) and a shadow color for outlineSpotShadowColor (API 28+) per shadow token
+ */
+function generateAndroidShadows(resolvedTokens) {
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push('');
+  lines.push('<!--');
+  lines.push('  Design Tokens - Shadows');
+  lines.push(`  Generated on ${new Date().toUTCString()}`);
+  lines.push('-->');
+  lines.push('<resources>');
+  
+  for (const [path, token, layers] of getShadowTokens(resolvedTokens)) {
+    const resourceName = token.name || toAndroidResourceName(path);
+    const primary = getPrimaryShadowLayer(layers);
+    
+    lines.push(`  <dimen name="${resourceName}_elevation">${primary ? Math.max(0, primary.offsetY) : 0}dp</dimen>`);
+    if (primary) {
+      lines.push(`  <color name="${resourceName}_color">${hexToAndroidColor(primary.color)}</color>`);
+    }
+  }
+  
+  lines.push('</resources>');
+  return lines.join('\n');
+}
+
+/**
+ * Generate iOS Swift file for a theme
+ */
+function generateSwiftColors(resolvedTokens, theme) {
+  const className = toSwiftColorClassName(theme);
+  const lines = [];
+  
+  lines.push('//');
+  lines.push(`// ${className}.swift`);
+  lines.push('//');
+  lines.push('');
+  lines.push('// Design Tokens - Color definitions');
+  lines.push(`// Theme: ${theme}`);
+  lines.push(`// Generated on ${new Date().toUTCString()}`);
+  lines.push('');
+  lines.push('import UIKit');
+  lines.push('');
+  lines.push(`public class ${className} {`);
+  
+  const sorted = Object.entries(resolvedTokens).sort(([a], [b]) => a.localeCompare(b));
+  
+  for (const [path, token] of sorted) {
+    const value = token.resolvedValue;
+    if (isColor(value)) {
+      const uiColor = hexToUIColor(value);
+      if (uiColor) {
+        const propertyName = token.name || toSwiftPropertyName(path);
+        lines.push(...swiftTokenAnnotations(token, resolvedTokens, '    '));
+        lines.push(`    public static let ${propertyName} = ${uiColor}`);
+      }
+    }
+  }
+  
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Generate dynamic colors for a theme family: a UIKit UIColor(dynamicProvider:)
+ * and a SwiftUI Color per token, resolving to the light or dark theme's value
+ * from the trait collection
+ */
+function generateSwiftDynamicColors(lightTokens, darkTokens, family) {
+  const familyName = toPascalCase(family.name);
+  const lines = [];
+  
+  lines.push('//');
+  lines.push(`// DynamicColor${familyName}.swift`);
+  lines.push('//');
+  lines.push('');
+  lines.push('// Design Tokens - Dynamic light/dark colors');
+  lines.push(`// Theme family: ${family.name} (light: ${family.light}, dark: ${family.dark})`);
+  lines.push(`// Generated on ${new Date().toUTCString()}`);
+  lines.push('');
+  lines.push('import SwiftUI');
+  lines.push('import UIKit');
+  lines.push('');
+  lines.push('public extension UIColor {');
+  lines.push(`    enum ${familyName} {`);
+  
+  const sorted = Object.entries(lightTokens).sort(([a], [b]) => a.localeCompare(b));
+  const properties = [];
+  
+  for (const [path, token] of sorted) {
+    const darkToken = darkTokens[path] || token;
+    const light = isColor(token.resolvedValue) && hexToUIColor(token.resolvedValue);
+    const dark = isColor(darkToken.resolvedValue) && hexToUIColor(darkToken.resolvedValue);
+    if (!light || !dark) continue;
+    
+    const propertyName = token.name || toSwiftPropertyName(path);
+    const annotations = swiftTokenAnnotations(token, lightTokens, '        ');
+    properties.push([propertyName, annotations]);
+    
+    lines.push(...annotations);
+    if (light === dark) {
+      lines.push(`        public static let ${propertyName} = ${light}`);
+    } else {
+      lines.push(`        public static let ${propertyName} = UIColor { traits in`);
+      lines.push(`            traits.userInterfaceStyle == .dark`);
+      lines.push(`                ? ${dark}`);
+      lines.push(`                : ${light}`);
+      lines.push('        }');
+    }
+  }
+  
+  lines.push('    }');
+  lines.push('}');
+  lines.push('');
+  lines.push('public extension Color {');
+  lines.push(`    enum ${familyName} {`);
+  for (const [propertyName, annotations] of properties) {
+    lines.push(...annotations);
+    lines.push(`        public static let ${propertyName} = Color(UIColor.${familyName}.${propertyName})`);
+  }
+  lines.push('    }');
+  lines.push('}');
+  
+  return lines.join('\n');
+}
+
+/**
+ * Xcode asset catalog color entry, optionally for the dark appearance
+ */
+function toAssetCatalogColor(value, dark = false) {
+  const entry = {};
+  if (dark) {
+    entry.appearances = [{ appearance: 'luminosity', value: 'dark' }];
+  }
+  entry.color = { 'color-space': 'srgb', components: toSRGBComponents(value) };
+  entry.idiom = 'universal';
+  return entry;
+}
+
+/**
+ * Generate the colorsets of a theme family for Tokens.xcassets
+ * Each color token gets a <Family>/<name>.colorset with "Any" (light theme)
+ * and "Dark" (dark theme) appearances
+ * Returns { [path inside the catalog]: Contents.json }
+ */
+function generateAssetCatalogColors(lightTokens, darkTokens, family) {
+  const folder = toPascalCase(family.name);
+  const info = { author: 'xcode', version: 1 };
+  const files = {
+    // Namespaced folder: colors are named "Classic/colorTextPrimary"
+    [`${folder}/Contents.json`]: JSON.stringify({ info, properties: { 'provides-namespace': true } }, null, 2)
+  };
+  
+  for (const [path, token] of Object.entries(lightTokens)) {
+    const darkToken = darkTokens[path] || token;
+    if (!isColor(token.resolvedValue) || !isColor(darkToken.resolvedValue)) continue;
+    if (!toSRGBComponents(token.resolvedValue) || !toSRGBComponents(darkToken.resolvedValue)) continue;
+    
+    const colors = [toAssetCatalogColor(token.resolvedValue)];
+    if (family.dark !== family.light) {
+      colors.push(toAssetCatalogColor(darkToken.resolvedValue, true));
+    }
+    
+    const name = token.name || toSwiftPropertyName(path);
+    files[`${folder}/${name}.colorset/Contents.json`] = JSON.stringify({ colors, info }, null, 2);
+  }
+  
+  return files;
+}
+
+// CSS font-weight → UIFont.Weight / SwiftUI Font.Weight
+const SWIFT_FONT_WEIGHTS = {
+  100: 'ultraLight',
+  200: 'thin',
+  300: 'light',
+  400: 'regular',
+  500: 'medium',
+  600: 'semibold',
+  700: 'bold',
+  800: 'heavy',
+  900: 'black'
+};
+
+/**
+ * First concrete font family of a CSS font stack, or null for system/generic fonts
+ * e.g., "'SF Mono', Menlo, monospace" → SF Mono, "-apple-system, sans-serif" → null
+ */
+function toNativeFontFamily(fontStack) {
+  if (typeof fontStack !== 'string') return null;
+  const family = fontStack.split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+  const systemFamilies = ['-apple-system', 'BlinkMacSystemFont', 'system-ui', 'sans-serif', 'serif', 'monospace'];
+  return systemFamilies.includes(family) ? null : family;
+}
+
+/**
+ * Generate iOS text styles (font, weight, line height, kerning) for the
+ * heading and body typography composites
+ */
+function generateSwiftTextStyles(resolvedTokens) {
+  const lines = [];
+  
+  lines.push('//');
+  lines.push('// TextStyles.swift');
+  lines.push('//');
+  lines.push('');
+  lines.push('// Design Tokens - Text styles');
+  lines.push(`// Generated on ${new Date().toUTCString()}`);
+  lines.push('');
+  lines.push('import SwiftUI');
+  lines.push('import UIKit');
+  lines.push('');
+  lines.push('public struct TokenTextStyle {');
+  lines.push('    public let fontFamily: String?');
+  lines.push('    public let fontSize: CGFloat');
+  lines.push('    public let fontWeight: UIFont.Weight');
+  lines.push('    public let lineHeight: CGFloat');
+  lines.push('    /// Letter spacing in points');
+  lines.push('    public let kerning: CGFloat');
+  lines.push('');
+  lines.push('    public var uiFont: UIFont {');
+  lines.push('        if let fontFamily = fontFamily, let font = UIFont(name: fontFamily, size: fontSize) {');
+  lines.push('            return font');
+  lines.push('        }');
+  lines.push('        return UIFont.systemFont(ofSize: fontSize, weight: fontWeight)');
+  lines.push('    }');
+  lines.push('');
+  lines.push('    public var font: Font {');
+  lines.push('        Font(uiFont)');
+  lines.push('    }');
+  lines.push('');
+  lines.push('    /// Extra space between lines to reach lineHeight (for SwiftUI .lineSpacing)');
+  lines.push('    public var lineSpacing: CGFloat {');
+  lines.push('        max(0, lineHeight - uiFont.lineHeight)');
+  lines.push('    }');
+  lines.push('}');
+  lines.push('');
+  lines.push('public extension TokenTextStyle {');
+  
+  for (const [styleName, style] of Object.entries(getTypographyStyles(resolvedTokens))) {
+    const fontSize = parseFloat(style.fontSize);
+    const weight = SWIFT_FONT_WEIGHTS[Math.round(parseInt(style.fontWeight || 400, 10) / 100) * 100] || 'regular';
+    const lineHeight = style.lineHeight ? toLineHeightPx(style.lineHeight, style.fontSize) : fontSize;
+    const kerning = toKerning(style.letterSpacing, fontSize, 'pt');
+    const fontFamily = toNativeFontFamily(style.fontFamily);
+    
+    lines.push(`    static let ${toSwiftPropertyName(styleName)} = TokenTextStyle(`);
+    lines.push(`        fontFamily: ${fontFamily ? `"${fontFamily}"` : 'nil'},`);
+    lines.push(`        fontSize: ${fontSize},`);
+    lines.push(`        fontWeight: .${weight},`);
+    lines.push(`        lineHeight: ${lineHeight},`);
+    lines.push(`        kerning: ${kerning}`);
+    lines.push('    )');
+  }
+  
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Generate iOS shadow styles: a ShadowStyle (color, opacity, radius, offset)
+ * per layer, an array of layers per shadow token, and helpers for CALayer and SwiftUI
+ */
+function generateSwiftShadows(resolvedTokens) {
+  const lines = [];
+  
+  lines.push('//');
+  lines.push('// Shadows.swift');
+  lines.push('//');
+  lines.push('');
+  lines.push('// Design Tokens - Shadows');
+  lines.push(`// Generated on ${new Date().toUTCString()}`);
+  lines.push('');
+  lines.push('import SwiftUI');
+  lines.push('import UIKit');
+  lines.push('');
+  lines.push('public struct ShadowStyle {');
+  lines.push('    public let color: UIColor');
+  lines.push('    public let opacity: Float');
+  lines.push('    /// Blur radius in points (half the CSS blur)');
+  lines.push('    public let radius: CGFloat');
+  lines.push('    public let offset: CGSize');
+  lines.push('}');
+  lines.push('');
+  lines.push('public enum TokenShadows {');
+  
+  for (const [path, token, layers] of getShadowTokens(resolvedTokens)) {
+    const propertyName = token.name || toSwiftPropertyName(path);
+    const styles = layers.filter(layer => !layer.inset).map(layer => {
+      const { red, green, blue, alpha } = toSRGBComponents(layer.color) || toSRGBComponents('#000000');
+      return `ShadowStyle(color: UIColor(red: ${red}, green: ${green}, blue: ${blue}, alpha: 1), ` +
+        `opacity: ${parseFloat(alpha)}, radius: ${layer.blur / 2}, offset: CGSize(width: ${layer.offsetX}, height: ${layer.offsetY}))`;
+    });
+    
+    if (styles.length === 0) {
+      lines.push(`    public static let ${propertyName}: [ShadowStyle] = []`);
+      continue;
+    }
+    
+    lines.push(`    public static let ${propertyName}: [ShadowStyle] = [`);
+    lines.push(styles.map(style => `        ${style}`).join(',\n'));
+    lines.push('    ]');
+  }
+  
+  lines.push('}');
+  lines.push('');
+  lines.push('public extension CALayer {');
+  lines.push('    /// CALayer draws a single shadow, so the layer with the largest radius is applied');
+  lines.push('    func applyShadow(_ shadow: [ShadowStyle]) {');
+  lines.push('        guard let style = shadow.max(by: { $0.radius < $1.radius }) else {');
+  lines.push('            shadowOpacity = 0');
+  lines.push('            return');
+  lines.push('        }');
+  lines.push('        shadowColor = style.color.cgColor');
+  lines.push('        shadowOpacity = style.opacity');
+  lines.push('        shadowRadius = style.radius');
+  lines.push('        shadowOffset = style.offset');
+  lines.push('    }');
+  lines.push('}');
+  lines.push('');
+  lines.push('public extension View {');
+  lines.push('    func shadow(_ shadow: [ShadowStyle]) -> some View {');
+  lines.push('        shadow.reduce(AnyView(self)) { view, style in');
+  lines.push('            AnyView(view.shadow(');
+  lines.push('                color: Color(style.color).opacity(Double(style.opacity)),');
+  lines.push('                radius: style.radius,');
+  lines.push('                x: style.offset.width,');
+  lines.push('                y: style.offset.height');
+  lines.push('            ))');
+  lines.push('        }');
+  lines.push('    }');
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Generate shared iOS Swift file
+ * For a mode combination (e.g. density-compact), the class is named after it:
+ * StyleDictionaryDensityCompact
+ */
+function generateSwiftShared(resolvedTokens, mode = null) {
+  const className = `StyleDictionary${mode ? toModePascalCase(mode) : ''}`;
+  const lines = [];
+  
+  lines.push('//');
+  lines.push(`// ${className}.swift`);
+  lines.push('//');
+  lines.push('');
+  lines.push(`// Design Tokens - Shared values${mode ? ` (${mode})` : ''}`);
+  lines.push(`// Generated on ${new Date().toUTCString()}`);
+  lines.push('');
+  lines.push('import CoreGraphics');
+  lines.push('');
+  lines.push(`public class ${className} {`);
+  
+  const sorted = Object.entries(resolvedTokens).sort(([a], [b]) => a.localeCompare(b));
+  
+  // Dimensions
+  for (const [path, token] of sorted) {
+    const value = token.resolvedValue;
+    if (typeof value === 'string' && value.endsWith('pt') && !path.includes('fontSize')) {
+      const propertyName = token.name || toSwiftPropertyName(path);
+      const numValue = parseFloat(value);
+      lines.push(...swiftTokenAnnotations(token, resolvedTokens, '    '));
+      lines.push(`    public static let ${propertyName}: CGFloat = ${numValue}`);
+    }
+  }
+  
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Get the direct child tokens of a group, e.g. spacing → [['xs', token], ...]
+ */
+function getTokenGroup(resolvedTokens, groupPath) {
+  const prefix = `${groupPath}.`;
+  return Object.entries(resolvedTokens)
+    .filter(([path]) => path.startsWith(prefix) && !path.slice(prefix.length).includes('.'))
+    .map(([path, token]) => [path.slice(prefix.length), token]);
+}
+
+/**
+ * Collect composite typography styles (fontSize, fontWeight, lineHeight,
+ * letterSpacing, fontFamily) from groups like typography.heading.h1
+ * Returns { 'heading.h1': { fontSize: '48px', fontWeight: '700', ... } }
+ */
+function getTypographyStyles(resolvedTokens, groups = ['heading', 'body']) {
+  const styles = {};
+  const pattern = /^typography\.([^.]+)\.([^.]+)\.(fontSize|fontWeight|lineHeight|letterSpacing|fontFamily)$/;
+  
+  for (const [path, token] of Object.entries(resolvedTokens)) {
+    const match = path.match(pattern);
+    if (!match || !groups.includes(match[1])) continue;
+    
+    const styleName = `${match[1]}.${match[2]}`;
+    styles[styleName] = styles[styleName] || {};
+    styles[styleName][match[3]] = token.resolvedValue;
+  }
+  
+  return styles;
+}
+
+/**
+ * Line height in the font size's unit: unitless and em values are multiples of
+ * the font size
+ */
+function toLineHeightPx(lineHeight, fontSize) {
+  const dimension = parseDimension(lineHeight);
+  if (dimension && dimension.unit && dimension.unit !== 'em') return dimension.number;
+  return Math.round(parseFloat(lineHeight) * parseFloat(fontSize) * 100) / 100;
+}
+
+/**
+ * Kotlin identifier for a token name, backquoted when it isn't a plain identifier (e.g. `2xl`)
+ */
+function toKotlinIdentifier(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `\`${name}\``;
+}
+
+/**
+ * Kotlin number literal, parenthesized when negative so extensions apply to it
+ */
+function toKotlinNumber(value) {
+  const number = parseFloat(value);
+  return number < 0 ? `(${number})` : `${number}`;
+}
+
+/**
+ * Compose letter spacing: em and unitless values stay relative, absolute ones are sp
+ */
+function toComposeLetterSpacing(value) {
+  const dimension = parseDimension(value);
+  if (dimension && (dimension.unit === 'em' || !dimension.unit)) return `${toKotlinNumber(dimension.number)}.em`;
+  return `${toKotlinNumber(toPx(value) || 0)}.sp`;
+}
+
+/**
+ * Compose Color literal from a resolved color value
+ */
+function toComposeColor(value) {
+  const androidColor = hexToAndroidColor(value);
+  return androidColor ? `Color(0x${androidColor.slice(1)})` : null;
+}
+
+/**
+ * Semantic colors declared by any theme, sorted by path, each with the token of
+ * the first theme (the default theme first) defining it. Generated color classes
+ * declare all of them, so a theme missing one falls back to that token's value
+ * Returns [[path, token]]
+ */
+function getSemanticColorUnion(themeOutputs, themes) {
+  const colors = {};
+  for (const theme of themes) {
+    for (const [tokenPath, token] of Object.entries(themeOutputs[theme])) {
+      if (!colors[tokenPath] && isSemanticColor(tokenPath, token) && toComposeColor(token.resolvedValue)) {
+        colors[tokenPath] = token;
+      }
+    }
+  }
+  return Object.entries(colors).sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * A theme's token for each color of the union, or the union's token if the
+ * theme doesn't define that color
+ */
+function getThemeColors(resolvedTokens, colors) {
+  return colors.map(([tokenPath, fallback]) => {
+    const token = resolvedTokens[tokenPath];
+    const defined = token && isSemanticColor(tokenPath, token) && toComposeColor(token.resolvedValue);
+    return [tokenPath, defined ? token : fallback];
+  });
+}
+
+/**
+ * Common header for generated Kotlin files
+ */
+function kotlinHeader(fileName, description, packageName, imports) {
+  return [
+    '//',
+    `// ${fileName}`,
+    '//',
+    '',
+    `// Design Tokens - ${description}`,
+    `// Generated on ${new Date().toUTCString()}`,
+    '',
+    `package ${packageName}`,
+    '',
+    ...imports.map(name => `import ${name}`),
+    ''
+  ];
+}
+
+/**
+ * Generate the Compose TokenColors data class (one property per semantic color
+ * of any theme) and the CompositionLocal providing the current theme's colors
+ * The first theme is the default
+ */
+function generateComposeColorClass(themeOutputs, themes, packageName) {
+  const lines = kotlinHeader('TokenColors.kt', 'Color scheme', packageName, [
+    'androidx.compose.runtime.Immutable',
+    'androidx.compose.runtime.staticCompositionLocalOf',
+    'androidx.compose.ui.graphics.Color'
+  ]);
+  
+  const resolvedTokens = themeOutputs[themes[0]];
+  
+  lines.push('@Immutable');
+  lines.push('data class TokenColors(');
+  const properties = getSemanticColorUnion(themeOutputs, themes)
+    .map(([path, token]) => [
+      ...kotlinTokenAnnotations(token, resolvedTokens, '    '),
+      `    val ${token.name || toSwiftPropertyName(path)}: Color`
+    ].join('\n'));
+  lines.push(properties.join(',\n'));
+  lines.push(')');
+  lines.push('');
+  lines.push(`val LocalTokenColors = staticCompositionLocalOf { ${toPascalCase(themes[0])}Colors }`);
+  return lines.join('\n');
+}
+
+/**
+ * Generate a theme's TokenColors instance, setting every color of the union
+ * (see getSemanticColorUnion(); default: the theme's own colors)
+ */
+function generateComposeColors(resolvedTokens, theme, packageName, colors = getSemanticColorUnion({ [theme]: resolvedTokens }, [theme])) {
+  const valueName = `${toPascalCase(theme)}Colors`;
+  const lines = kotlinHeader(`${valueName}.kt`, `${theme} colors`, packageName, [
+    'androidx.compose.ui.graphics.Color'
+  ]);
+  
+  const themeColors = getThemeColors(resolvedTokens, colors);
+  
+  // Deprecated colors are still set; keep their warnings out of the app's build
+  if (themeColors.some(([, token]) => token.deprecated)) {
+    lines.splice(lines.indexOf(`package ${packageName}`), 0, '@file:Suppress("DEPRECATION")', '');
+  }
+  
+  lines.push(`val ${valueName} = TokenColors(`);
+  const properties = themeColors
+    .map(([path, token]) => `    ${token.name || toSwiftPropertyName(path)} = ${toComposeColor(token.resolvedValue)}`);
+  lines.push(properties.join(',\n'));
+  lines.push(')');
+  return lines.join('\n');
+}
+
+/**
+ * Generate Compose Dp objects for spacing, border radius and border width
+ * For a mode combination (e.g. density-compact), the file and objects are
+ * named after it: TokenSpacingDensityCompact in TokenDimensDensityCompact.kt
+ */
+function generateComposeDimens(resolvedTokens, packageName, mode = null) {
+  const suffix = mode ? toModePascalCase(mode) : '';
+  const lines = kotlinHeader(`TokenDimens${suffix}.kt`, `Dimensions${mode ? ` (${mode})` : ''}`, packageName, [
+    'androidx.compose.ui.unit.dp'
+  ]);
+  
+  const groups = [
+    [`TokenSpacing${suffix}`, 'spacing'],
+    [`TokenBorderRadius${suffix}`, 'borderRadius'],
+    [`TokenBorderWidth${suffix}`, 'borderWidth']
+  ];
+  
+  // Replacements of deprecated tokens, named as members of these objects
+  const toMemberName = refPath => {
+    const group = groups.find(([, groupPath]) => refPath.startsWith(`${groupPath}.`));
+    return group ? `${group[0]}.${toKotlinIdentifier(refPath.slice(group[1].length + 1))}` : toSwiftPropertyName(refPath);
+  };
+  
+  for (const [objectName, groupPath] of groups) {
+    lines.push(`object ${objectName} {`);
+    for (const [name, token] of getTokenGroup(resolvedTokens, groupPath)) {
+      const value = token.resolvedValue;
+      if (typeof value === 'string' && value.endsWith('dp')) {
+        lines.push(...kotlinTokenAnnotations(token, {}, '    ', toMemberName));
+        lines.push(`    val ${toKotlinIdentifier(name)} = ${toKotlinNumber(value)}.dp`);
+      }
+    }
+    lines.push('}');
+    lines.push('');
+  }
+  
+  // Shadow tokens as elevations (the primary layer's y-offset), for Modifier.shadow
+  lines.push(`object TokenElevation${suffix} {`);
+  for (const [name, token] of getTokenGroup(resolvedTokens, 'shadow')) {
+    const layers = parseShadow(token.resolvedValue);
+    if (!layers) continue;
+    const primary = getPrimaryShadowLayer(layers);
+    lines.push(`    val ${toKotlinIdentifier(name)} = ${primary ? Math.max(0, primary.offsetY) : 0}.dp`);
+  }
+  lines.push('}');
+  
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Generate Compose typography: TextUnit/FontWeight objects for the typography
+ * scales and a TextStyle for each heading and body composite
+ */
+function generateComposeTypography(resolvedTokens, packageName) {
+  const lines = kotlinHeader('TokenTypography.kt', 'Typography', packageName, [
+    'androidx.compose.ui.text.TextStyle',
+    'androidx.compose.ui.text.font.FontWeight',
+    'androidx.compose.ui.unit.em',
+    'androidx.compose.ui.unit.sp'
+  ]);
+  
+  lines.push('object TokenFontSize {');
+  for (const [name, token] of getTokenGroup(resolvedTokens, 'typography.fontSize')) {
+    lines.push(`    val ${toKotlinIdentifier(name)} = ${toKotlinNumber(token.resolvedValue)}.sp`);
+  }
+  lines.push('}');
+  lines.push('');
+  
+  lines.push('object TokenFontWeight {');
+  for (const [name, token] of getTokenGroup(resolvedTokens, 'typography.fontWeight')) {
+    lines.push(`    val ${toKotlinIdentifier(name)} = FontWeight(${parseInt(token.resolvedValue, 10)})`);
+  }
+  lines.push('}');
+  lines.push('');
+  
+  lines.push('object TokenLineHeight {');
+  for (const [name, token] of getTokenGroup(resolvedTokens, 'typography.lineHeight')) {
+    lines.push(`    const val ${toKotlinIdentifier(name)} = ${parseFloat(token.resolvedValue)}f`);
+  }
+  lines.push('}');
+  lines.push('');
+  
+  lines.push('object TokenLetterSpacing {');
+  for (const [name, token] of getTokenGroup(resolvedTokens, 'typography.letterSpacing')) {
+    lines.push(`    val ${toKotlinIdentifier(name)} = ${toComposeLetterSpacing(token.resolvedValue)}`);
+  }
+  lines.push('}');
+  lines.push('');
+  
+  lines.push('object TokenTextStyles {');
+  for (const [styleName, style] of Object.entries(getTypographyStyles(resolvedTokens))) {
+    const args = [];
+    if (style.fontSize) args.push(`fontSize = ${toKotlinNumber(style.fontSize)}.sp`);
+    if (style.fontWeight) args.push(`fontWeight = FontWeight(${parseInt(style.fontWeight, 10)})`);
+    if (style.lineHeight && style.fontSize) args.push(`lineHeight = ${toLineHeightPx(style.lineHeight, style.fontSize)}.sp`);
+    if (style.letterSpacing) args.push(`letterSpacing = ${toComposeLetterSpacing(style.letterSpacing)}`);
+    
+    lines.push(`    val ${toSwiftPropertyName(styleName)} = TextStyle(`);
+    lines.push(args.map(arg => `        ${arg}`).join(',\n'));
+    lines.push('    )');
+  }
+  lines.push('}');
+  
+  return lines.join('\n');
+}
+
+// Typography composite → Material TextTheme slot
+const FLUTTER_TEXT_THEME_SLOTS = {
+  'heading.h1': 'displayLarge',
+  'heading.h2': 'displayMedium',
+  'heading.h3': 'displaySmall',
+  'heading.h4': 'headlineLarge',
+  'heading.h5': 'headlineMedium',
+  'heading.h6': 'headlineSmall',
+  'body.lg': 'bodyLarge',
+  'body.base': 'bodyMedium',
+  'body.sm': 'bodySmall'
+};
+
+/**
+ * Dart identifier for a token name; names starting with a digit get a $ prefix
+ * e.g., 2xl → $2xl
+ */
+function toDartIdentifier(name) {
+  return /^[0-9]/.test(name) ? `$${name}` : name;
+}
+
+/**
+ * Dart file name for a theme, e.g. classic-dark → classic_dark
+ */
+function toDartFileName(theme) {
+  return theme.replace(/-/g, '_');
+}
+
+/**
+ * Common header for generated Dart files
+ */
+function dartHeader(fileName, description, imports) {
+  return [
+    '//',
+    `// ${fileName}`,
+    '//',
+    '',
+    `// Design Tokens - ${description}`,
+    `// Generated on ${new Date().toUTCString()}`,
+    '',
+    ...imports.map(name => `import '${name}';`),
+    ''
+  ];
+}
+
+/**
+ * Generate the Flutter TokenColors ThemeExtension (one field per semantic
+ * and component color of any theme). The first theme is the default
+ */
+function generateFlutterColorClass(themeOutputs, themes) {
+  const lines = dartHeader('token_colors.dart', 'Color scheme', ['package:flutter/material.dart']);
+  
+  const resolvedTokens = themeOutputs[themes[0]];
+  const colors = getSemanticColorUnion(themeOutputs, themes)
+    .map(([path, token]) => [token.name || toSwiftPropertyName(path), token]);
+  const names = colors.map(([name]) => name);
+  
+  // copyWith() and lerp() use the deprecated colors too; keep their warnings
+  // out of the app's analysis
+  if (colors.some(([, token]) => token.deprecated)) {
+    lines.splice(lines.indexOf("import 'package:flutter/material.dart';"), 0, '// ignore_for_file: deprecated_member_use_from_same_package', '');
+  }
+  
+  lines.push('@immutable');
+  lines.push('class TokenColors extends ThemeExtension<TokenColors> {');
+  lines.push('  const TokenColors({');
+  names.forEach(name => lines.push(`    required this.${name},`));
+  lines.push('  });');
+  lines.push('');
+  colors.forEach(([name, token]) => {
+    const doc = getTokenDoc(token);
+    if (doc) lines.push(`  /// ${doc}`);
+    if (token.deprecated) {
+      lines.push(`  @Deprecated(${JSON.stringify(getDeprecationMessage(token, resolvedTokens, toSwiftPropertyName))})`);
+    }
+    lines.push(`  final Color ${name};`);
+  });
+  lines.push('');
+  lines.push('  @override');
+  lines.push('  TokenColors copyWith({');
+  names.forEach(name => lines.push(`    Color? ${name},`));
+  lines.push('  }) {');
+  lines.push('    return TokenColors(');
+  names.forEach(name => lines.push(`      ${name}: ${name} ?? this.${name},`));
+  lines.push('    );');
+  lines.push('  }');
+  lines.push('');
+  lines.push('  @override');
+  lines.push('  TokenColors lerp(ThemeExtension<TokenColors>? other, double t) {');
+  lines.push('    if (other is! TokenColors) return this;');
+  lines.push('    return TokenColors(');
+  names.forEach(name => lines.push(`      ${name}: Color.lerp(${name}, other.${name}, t)!,`));
+  lines.push('    );');
+  lines.push('  }');
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Generate a theme's TokenColors instance, setting every color of the union
+ * (see getSemanticColorUnion(); default: the theme's own colors), and ThemeData
+ */
+function generateFlutterTheme(resolvedTokens, theme, colors = getSemanticColorUnion({ [theme]: resolvedTokens }, [theme])) {
+  const name = toThemeIdentifier(theme);
+  const lines = dartHeader(`${toDartFileName(theme)}.dart`, `${theme} theme`, [
+    'package:flutter/material.dart',
+    'token_colors.dart',
+    'token_typography.dart'
+  ]);
+  
+  const themeColors = getThemeColors(resolvedTokens, colors);
+  
+  // Deprecated colors are still set; keep their warnings out of the app's analysis
+  if (themeColors.some(([, token]) => token.deprecated)) {
+    lines.splice(lines.indexOf("import 'package:flutter/material.dart';"), 0, '// ignore_for_file: deprecated_member_use_from_same_package', '');
+  }
+  
+  lines.push(`const ${name}Colors = TokenColors(`);
+  themeColors
+    .forEach(([path, token]) => lines.push(`  ${token.name || toSwiftPropertyName(path)}: ${toComposeColor(token.resolvedValue)},`));
+  lines.push(');');
+  lines.push('');
+  lines.push(`final ${name}Theme = ThemeData(`);
+  lines.push(`  brightness: Brightness.${theme.endsWith('-dark') ? 'dark' : 'light'},`);
+  lines.push('  textTheme: tokenTextTheme,');
+  lines.push(`  extensions: const [${name}Colors],`);
+  lines.push(');');
+  return lines.join('\n');
+}
+
+/**
+ * Dart file name (without extension) of the dimension constants, for the
+ * default build or a mode combination: token_dimens, token_dimens_density_compact
+ */
+function toFlutterDimensFile(mode = null) {
+  return mode ? `token_dimens_${toModeSnakeCase(mode)}` : 'token_dimens';
+}
+
+/**
+ * Generate Flutter spacing, border radius and border width constants
+ * For a mode combination (e.g. density-compact), the classes are named after it:
+ * TokenSpacingDensityCompact in token_dimens_density_compact.dart
+ */
+function generateFlutterDimens(resolvedTokens, mode = null) {
+  const suffix = mode ? toModePascalCase(mode) : '';
+  const lines = dartHeader(`${toFlutterDimensFile(mode)}.dart`, `Dimensions${mode ? ` (${mode})` : ''}`, []);
+  
+  const groups = [
+    [`TokenSpacing${suffix}`, 'spacing'],
+    [`TokenBorderRadius${suffix}`, 'borderRadius'],
+    [`TokenBorderWidth${suffix}`, 'borderWidth']
+  ];
+  
+  for (const [className, groupPath] of groups) {
+    lines.push(`abstract final class ${className} {`);
+    for (const [name, token] of getTokenGroup(resolvedTokens, groupPath)) {
+      const value = token.resolvedValue;
+      if (value === '0' || (typeof value === 'string' && value.endsWith('px'))) {
+        lines.push(`  static const double ${toDartIdentifier(name)} = ${parseFloat(value)};`);
+      }
+    }
+    lines.push('}');
+    lines.push('');
+  }
+  
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Generate Flutter TextStyles for the heading and body composites and a
+ * TextTheme mapping them onto Material's slots
+ */
+function generateFlutterTypography(resolvedTokens) {
+  const lines = dartHeader('token_typography.dart', 'Typography', ['package:flutter/material.dart']);
+  const styles = getTypographyStyles(resolvedTokens);
+  
+  lines.push('abstract final class TokenTextStyles {');
+  for (const [styleName, style] of Object.entries(styles)) {
+    const fontSize = parseFloat(style.fontSize);
+    const args = [];
+    if (style.fontSize) args.push(`fontSize: ${fontSize}`);
+    if (style.fontWeight) args.push(`fontWeight: FontWeight.w${Math.round(parseInt(style.fontWeight, 10) / 100) * 100}`);
+    // Flutter's height is a multiple of the font size, like a unitless line height
+    if (style.lineHeight && style.fontSize) args.push(`height: ${toLineHeightPx(style.lineHeight, style.fontSize) / fontSize}`);
+    // letterSpacing is in logical pixels
+    if (style.letterSpacing && style.fontSize) {
+      args.push(`letterSpacing: ${toKerning(style.letterSpacing, fontSize, 'px')}`);
+    }
+    
+    lines.push(`  static const ${toSwiftPropertyName(styleName)} = TextStyle(`);
+    lines.push(args.map(arg => `    ${arg},`).join('\n'));
+    lines.push('  );');
+  }
+  lines.push('}');
+  lines.push('');
+  lines.push('const tokenTextTheme = TextTheme(');
+  for (const [styleName, slot] of Object.entries(FLUTTER_TEXT_THEME_SLOTS)) {
+    if (styles[styleName]) {
+      lines.push(`  ${slot}: TokenTextStyles.${toSwiftPropertyName(styleName)},`);
+    }
+  }
+  lines.push(');');
+  return lines.join('\n');
+}
+
+/**
+ * Generate the Flutter library entry point: exports and a ThemeData per theme name
+ * The dimension files of the given mode combinations are exported too
+ */
+function generateFlutterLibrary(themes, modes = []) {
+  const themeFiles = themes.map(theme => `${toDartFileName(theme)}.dart`);
+  const modeFiles = modes.map(mode => `${toFlutterDimensFile(mode)}.dart`);
+  const lines = dartHeader('tokens.dart', 'Flutter themes', [
+    'package:flutter/material.dart',
+    ...themeFiles
+  ]);
+  
+  lines.push(...['token_colors.dart', 'token_dimens.dart', ...modeFiles, 'token_typography.dart', ...themeFiles].map(file => `export '${file}';`));
+  lines.push('');
+  lines.push(`const defaultTokenTheme = '${themes[0]}';`);
+  lines.push('');
+  lines.push('final Map<String, ThemeData> tokenThemes = {');
+  themes.forEach(theme => lines.push(`  '${theme}': ${toThemeIdentifier(theme)}Theme,`));
+  lines.push('};');
+  return lines.join('\n');
+}
+
+/**
+ * Convert a token reference to a DTCG alias rooted at the theme group
+ * e.g., {color.text.primary} → {classic-dark.color.text.primary}
+ */
+function toDTCGAlias(value, theme) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\{([^}]+)\}/g, (match, refPath) => `{${theme}.${refPath}}`);
+}
+
+/**
+ * Generate a DTCG document with one top-level group per theme
+ * References are kept as aliases so other DTCG tools can follow them
+ */
+function generateDTCG(themeOutputs) {
+  const document = {};
+  
+  for (const [theme, resolvedTokens] of Object.entries(themeOutputs)) {
+    document[theme] = {};
+    
+    for (const [tokenPath, token] of Object.entries(resolvedTokens)) {
+      const parts = tokenPath.split('.');
+      const leaf = parts.pop();
+      let group = document[theme];
+      for (const part of parts) {
+        group = group[part] = group[part] || {};
+      }
+      
+      // DTCG has no color modifiers or arithmetic, so those are written resolved
+      const dtcgToken = {
+        $value: isComputedValue(token.value, resolvedTokens) ? token.resolvedValue : toDTCGAlias(token.value, theme)
+      };
+      const type = token.type || inferTokenType(tokenPath, token.resolvedValue);
+      if (type) dtcgToken.$type = type;
+      if (token.description) dtcgToken.$description = token.description;
+      if (token.deprecated) {
+        dtcgToken.$deprecated = token.deprecated.message || token.deprecated.replacement
+          ? getDeprecationMessage(token, resolvedTokens, refPath => `{${theme}.${refPath}}`)
+          : true;
+      }
+      group[leaf] = dtcgToken;
+    }
+  }
+  
+  return document;
+}
+
+/**
+ * Blend a translucent color over an opaque one
+ */
+function compositeColor(foreground, background) {
+  const blend = channel => foreground[channel] * foreground.a + background[channel] * (1 - foreground.a);
+  return { r: blend('r'), g: blend('g'), b: blend('b'), a: 1 };
+}
+
+/**
+ * WCAG 2.x relative luminance
+ */
+function relativeLuminance({ r, g, b }) {
+  const [R, G, B] = [r, g, b].map(channel => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+}
+
+/**
+ * WCAG 2.x contrast ratio between two opaque colors
+ */
+function contrastRatio(foreground, background) {
+  const l1 = relativeLuminance(foreground);
+  const l2 = relativeLuminance(background);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * Load the declared foreground/background pairs to audit
+ */
+function loadContrastPairs(file = CONTRAST_PAIRS_FILE) {
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf8')).pairs || [];
+}
+
+/**
+ * Check every declared pair against each theme's resolved values
+ * Each pair must meet its "level" (AA by default); "largeText" uses the large-text thresholds
+ */
+function auditContrast(themeOutputs, pairs) {
+  const results = [];
+  
+  for (const [theme, resolvedTokens] of Object.entries(themeOutputs)) {
+    for (const pair of pairs) {
+      const level = pair.level || 'AA';
+      const size = pair.largeText ? 'large' : 'normal';
+      const result = {
+        theme,
+        foreground: pair.foreground,
+        background: pair.background,
+        level,
+        largeText: Boolean(pair.largeText)
+      };
+      
+      const fgToken = resolvedTokens[pair.foreground];
+      const bgToken = resolvedTokens[pair.background];
+      const fg = fgToken && parseColor(fgToken.resolvedValue);
+      const bg = bgToken && parseColor(bgToken.resolvedValue);
+      
+      if (!fg || !bg || bg.a < 1) {
+        result.error = !fgToken || !bgToken
+          ? `token not found: ${!fgToken ? pair.foreground : pair.background}`
+          : 'not an opaque color pair';
+        result.pass = false;
+        results.push(result);
+        continue;
+      }
+      
+      const ratio = contrastRatio(fg.a < 1 ? compositeColor(fg, bg) : fg, bg);
+      result.foregroundValue = fgToken.resolvedValue;
+      result.backgroundValue = bgToken.resolvedValue;
+      result.ratio = Math.round(ratio * 100) / 100;
+      result.AA = ratio >= WCAG_THRESHOLDS.AA[size];
+      result.AAA = ratio >= WCAG_THRESHOLDS.AAA[size];
+      result.pass = result[level];
+      results.push(result);
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Print contrast results as a table, grouped by theme
+ */
+function reportContrast(results, log = console.log) {
+  const pairWidth = Math.max(...results.map(r => `${r.foreground} on ${r.background}`.length));
+  let currentTheme = null;
+  
+  for (const result of results) {
+    if (result.theme !== currentTheme) {
+      currentTheme = result.theme;
+      log(`\n   ${currentTheme}`);
+      log(`   ${'Pair'.padEnd(pairWidth)}  ${'Ratio'.padStart(7)}  AA  AAA`);
+    }
+    
+    const pair = `${result.foreground} on ${result.background}`.padEnd(pairWidth);
+    if (result.error) {
+      log(`   ${pair}  ✗ ${result.error}`);
+      continue;
+    }
+    
+    const mark = passed => passed ? '✓' : '✗';
+    const ratio = `${result.ratio.toFixed(2)}:1`.padStart(7);
+    const note = result.pass ? '' : `  ← below ${result.level}${result.largeText ? ' (large text)' : ''}`;
+    log(`   ${pair}  ${ratio}  ${mark(result.AA)}   ${mark(result.AAA)}${note}`);
+  }
+}
+
+/**
+ * Collect deprecated tokens across themes, once per token path
+ * Returns [{ path, filePath, message, themes }]
+ */
+function findDeprecatedTokens(themeOutputs) {
+  const deprecated = new Map();
+  
+  for (const [theme, resolvedTokens] of Object.entries(themeOutputs)) {
+    for (const [tokenPath, token] of Object.entries(resolvedTokens)) {
+      if (!token.deprecated) continue;
+      if (!deprecated.has(tokenPath)) {
+        deprecated.set(tokenPath, {
+          path: tokenPath,
+          filePath: token.filePath,
+          message: getDeprecationMessage(token, {}, refPath => refPath),
+          themes: []
+        });
+      }
+      deprecated.get(tokenPath).themes.push(theme);
+    }
+  }
+  
+  return [...deprecated.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Warn about deprecated tokens, which are still emitted with platform annotations
+ */
+function reportDeprecations(deprecatedTokens, warn = console.warn) {
+  if (deprecatedTokens.length === 0) return;
+  
+  warn(`\n⚠️  ${deprecatedTokens.length} deprecated token(s), still emitted:\n`);
+  for (const token of deprecatedTokens) {
+    warn(`  ⚠ ${token.path}`);
+    warn(`      ${token.message}`);
+    warn(`      in ${token.filePath || 'unknown file'} [${token.themes.join(', ')}]`);
+  }
+}
+
+/**
+ * Load, validate and resolve the given themes, with the given mode values
+ * (default: each axis's default, see discoverModes())
+ * Throws if any theme fails validation; the error lists every broken reference
+ * in `error.validationErrors`
+ */
+function processThemes(themes, sourceDir = TOKENS_DIR, log = console.log, modes = getDefaultModes(discoverModes(sourceDir))) {
+  const themeOutputs = {};
+  const validationErrors = {};
+  const defaultModes = getDefaultModes(discoverModes(sourceDir));
+  const modeLabel = Object.entries(modes)
+    .filter(([axis, value]) => defaultModes[axis] !== value)
+    .map(([axis, value]) => `${axis}: ${value}`)
+    .join(', ');
+  
+  for (const theme of themes) {
+    log(`\n🔧 Processing ${theme}${modeLabel ? ` (${modeLabel})` : ''}...`);
+    
+    const tokens = loadThemeTokens(theme, sourceDir, modes);
+    const flatTokens = flattenTokens(tokens);
+    const errors = validateReferences(flatTokens);
+    if (errors.length > 0) {
+      validationErrors[theme] = errors;
+      continue;
+    }
+    
+    const resolvedTokens = resolveTokens(flatTokens);
+    
+    themeOutputs[theme] = resolvedTokens;
+    
+    log(`   Found ${Object.keys(resolvedTokens).length} tokens`);
+  }
+  
+  // Never write outputs containing broken references
+  if (Object.keys(validationErrors).length > 0) {
+    const error = new Error('Build failed: broken token references');
+    error.validationErrors = groupValidationErrors(validationErrors);
+    throw error;
+  }
+  
+  return themeOutputs;
+}
+
+// Built-in transform and format registries, extended through registerTransform()
+// and registerFormat(); a project config's transforms and formats only apply to
+// the build() call using that config (see loadConfig())
+const transforms = {};
+const formats = {};
+
+/**
+ * Register a transform
+ * 
+ * Name transforms compute the platform name of a token:
+ *   { type: 'name', transform: (tokenPath, token) => name }
+ * Value transforms rewrite resolved values, optionally for matching tokens only:
+ *   { type: 'value', filter: (token, tokenPath) => boolean, transform: (value, token, tokenPath, options) => value }
+ * where options is the platform definition
+ */
+function registerTransform(name, definition, registry = transforms) {
+  const { type, filter, transform } = definition;
+  if (type !== 'name' && type !== 'value') {
+    throw new Error(`Transform "${name}" must have type "name" or "value"`);
+  }
+  if (typeof transform !== 'function') {
+    throw new Error(`Transform "${name}" must have a transform function`);
+  }
+  registry[name] = { type, filter, transform };
+}
+
+/**
+ * Register an output format
+ * A format receives { themeOutputs, themes, modeOutputs, modes, changed, platform, options }
+ * and returns the files it generates, keyed by path relative to the output directory
+ * (modeOutputs holds each mode combination's themes, keyed by toModeKey())
+ */
+function registerFormat(name, format, registry = formats) {
+  if (typeof format !== 'function') {
+    throw new Error(`Format "${name}" must be a function`);
+  }
+  registry[name] = format;
+}
+
+/**
+ * Apply a platform's transforms to a theme's resolved tokens
+ * The last name transform wins; value transforms run in order and receive the
+ * platform definition as options
+ */
+function applyTransforms(resolvedTokens, transformNames = [], options = {}, registry = transforms) {
+  const selected = transformNames.map(name => {
+    if (!registry[name]) throw new Error(`Unknown transform "${name}"`);
+    return registry[name];
+  });
+  const nameTransform = selected.filter(t => t.type === 'name').pop();
+  const valueTransforms = selected.filter(t => t.type === 'value');
+  
+  const result = {};
+  for (const [tokenPath, token] of Object.entries(resolvedTokens)) {
+    const transformed = { ...token };
+    if (nameTransform) {
+      transformed.name = nameTransform.transform(tokenPath, token);
+    }
+    
+    for (const { filter, transform } of valueTransforms) {
+      if (filter && !filter(transformed, tokenPath)) continue;
+      // Literal values are written as-is to CSS too; references stay var()
+      const isLiteral = transformed.cssValue === transformed.resolvedValue;
+      transformed.resolvedValue = transform(transformed.resolvedValue, transformed, tokenPath, options);
+      if (isLiteral) transformed.cssValue = transformed.resolvedValue;
+    }
+    
+    result[tokenPath] = transformed;
+  }
+  
+  // Keep var() references in sync with the names tokens are declared under
+  if (nameTransform) {
+    for (const token of Object.values(result)) {
+      if (getReferences(token.value).length > 0) {
+        token.cssValue = toCSSSyntax(token.value, result, refPath => result[refPath].name);
+      }
+    }
+  }
+  
+  return result;
+}
+
+// Built-in name transforms
+registerTransform('name/css', { type: 'name', transform: toCSSVarName });
+registerTransform('name/android', { type: 'name', transform: toAndroidResourceName });
+registerTransform('name/swift', { type: 'name', transform: toSwiftPropertyName });
+registerTransform('name/kotlin', { type: 'name', transform: toSwiftPropertyName });
+registerTransform('name/dart', { type: 'name', transform: toSwiftPropertyName });
+
+/**
+ * Value transform converting lengths to a platform unit (fontUnit for font sizes)
+ */
+function sizeTransform(unit, fontUnit = unit) {
+  return {
+    type: 'value',
+    filter: isLengthToken,
+    transform: (value, token, tokenPath, options) => formatDimension({
+      number: toPx(value, options.baseFontSize),
+      unit: tokenPath.includes('fontSize') ? fontUnit : unit
+    })
+  };
+}
+
+// Built-in size transforms
+registerTransform('size/rem', {
+  type: 'value',
+  filter: (token, tokenPath) => isLengthToken(token, tokenPath) && token.resolvedValue !== '0',
+  transform: (value, token, tokenPath, options) => {
+    const baseFontSize = options.baseFontSize || BASE_FONT_SIZE;
+    return formatDimension({ number: toPx(value, baseFontSize) / baseFontSize, unit: 'rem' });
+  }
+});
+registerTransform('size/px', sizeTransform('px'));
+registerTransform('size/pt', sizeTransform('pt'));
+registerTransform('size/dp', sizeTransform('dp', 'sp'));
+
+// Built-in Web formats
+/**
+ * Theme outputs whose color modifier tokens use their resolved value in CSS
+ */
+function withPrecomputedModifiers(themeOutputs) {
+  const result = {};
+  for (const [theme, resolvedTokens] of Object.entries(themeOutputs)) {
+    result[theme] = {};
+    for (const [tokenPath, token] of Object.entries(resolvedTokens)) {
+      const isModified = Boolean(parseColorExpression(token.value, resolvedTokens));
+      result[theme][tokenPath] = isModified ? { ...token, cssValue: token.resolvedValue } : token;
+    }
+  }
+  return result;
+}
+
+// The default theme's block holds every token; other theme blocks only what
+// differs from it. With the web platform's splitThemes option, each other theme
+// goes to its own tokens-<theme>.css, loaded on top of tokens.css
+registerFormat('web/css', ({ themeOutputs: transformedOutputs, themes, modeOutputs: transformedModes, modes, options }) => {
+  // colorMix: false writes modified colors precomputed, for browsers without color-mix()
+  const precompute = outputs => (options.colorMix === false ? withPrecomputedModifiers(outputs) : outputs);
+  const themeOutputs = precompute(transformedOutputs);
+  const modeOutputs = {};
+  for (const [key, outputs] of Object.entries(transformedModes)) {
+    modeOutputs[key] = precompute(outputs);
+  }
+  
+  // Mode blocks follow the theme blocks they build on, combined theme × mode blocks come last
+  const { modeCSS, themeCSS: themeModeCSS } = generateModeCSS(themeOutputs, modeOutputs, themes, modes, Boolean(options.splitThemes));
+  const toFile = (fileHeader, blocks) => [fileHeader, blocks.filter(Boolean).join('\n\n'), ''].join('\n');
+  const header = description => `/**
+ * Design Tokens${description}
+ * Generated on ${new Date().toUTCString()}
+ * 
+ * Themes: ${themes.join(', ')}
+ */
+`;
+  if (options.colorScheme) {
+    if (options.splitThemes) {
+      throw new Error('The web platform\'s splitThemes and colorScheme options cannot be combined');
+    }
+    const colorSchemeCSS = generateColorSchemeCSS(themeOutputs, themes, options.colorScheme);
+    return {
+      'web/tokens.css': toFile(header(''), [colorSchemeCSS, modeCSS, ...Object.values(themeModeCSS)])
+    };
+  }
+  
+  const defaultTokens = themeOutputs[themes[0]]; // DEFAULT_THEME is sorted first
+  const files = {};
+  const blocks = [generateThemeCSS(defaultTokens, themes[0], true)];
+  const themeModeBlocks = [];
+  
+  themes.slice(1).forEach(theme => {
+    const themeCSS = generateThemeCSS(themeOutputs[theme], theme, false, defaultTokens);
+    if (options.splitThemes) {
+      files[`web/tokens-${theme}.css`] = toFile(header(` - ${theme}`).replace(/ \* Themes: .*\n/, ` * Load after tokens.css\n`), [themeCSS, themeModeCSS[theme]]);
+    } else {
+      blocks.push(themeCSS);
+      themeModeBlocks.push(themeModeCSS[theme]);
+    }
+  });
+  
+  files['web/tokens.css'] = toFile(header(''), [...blocks, modeCSS, ...themeModeBlocks]);
+  return files;
+});
+
+// The SCSS, Less, JS and JSON outputs hold resolved values, so each mode
+// combination gets its own copy (tokens.density-compact.scss, js/esm/density-compact/, ...);
+// tokens.css and the Tailwind preset switch modes through custom properties
+registerFormat('web/scss', ({ themeOutputs, themes, modeOutputs }) => {
+  const files = { 'web/tokens.scss': generateSCSS(themeOutputs, themes) };
+  for (const [mode, outputs] of Object.entries(modeOutputs)) {
+    files[`web/tokens.${mode}.scss`] = generateSCSS(outputs, themes, mode);
+  }
+  return files;
+});
+
+registerFormat('web/less', ({ themeOutputs, themes, modeOutputs }) => {
+  const files = { 'web/tokens.less': generateLess(themeOutputs, themes) };
+  for (const [mode, outputs] of Object.entries(modeOutputs)) {
+    files[`web/tokens.${mode}.less`] = generateLess(outputs, themes, mode);
+  }
+  return files;
+});
+
+registerFormat('web/js', ({ themeOutputs, themes, modeOutputs }) => {
+  const files = {};
+  for (const [file, content] of Object.entries(generateJSModules(themeOutputs, themes))) {
+    files[`web/js/${file}`] = content;
+  }
+  // Mode modules go in a folder of each module system, under its package.json
+  for (const [mode, outputs] of Object.entries(modeOutputs)) {
+    for (const [file, content] of Object.entries(generateJSModules(outputs, themes, mode))) {
+      if (file.endsWith('package.json')) continue;
+      files[`web/js/${file.replace(/^(esm|cjs)\//, `$1/${mode}/`)}`] = content;
+    }
+  }
+  return files;
+});
+
+registerFormat('web/tailwind', ({ themeOutputs, themes }) => ({
+  'web/tailwind.preset.js': generateTailwindPreset(themeOutputs, themes)
+}));
+
+/**
+ * Flat JSON of each theme's tokens: { [theme]: { [path]: { value, resolvedValue, ... } } }
+ */
+function toTokensJSON(themeOutputs, themes) {
+  const jsonOutput = {};
+  for (const theme of themes) {
+    jsonOutput[theme] = {};
+    for (const [path, token] of Object.entries(themeOutputs[theme])) {
+      jsonOutput[theme][path] = {
+        value: token.value,
+        resolvedValue: token.resolvedValue
+      };
+      for (const key of ['description', 'deprecated', 'since']) {
+        if (token[key] !== undefined) jsonOutput[theme][path][key] = token[key];
+      }
+    }
+  }
+  return JSON.stringify(jsonOutput, null, 2);
+}
+
+registerFormat('web/json', ({ themeOutputs, themes, modeOutputs }) => {
+  const files = { 'web/tokens.json': toTokensJSON(themeOutputs, themes) };
+  for (const [mode, outputs] of Object.entries(modeOutputs)) {
+    files[`web/tokens.${mode}.json`] = toTokensJSON(outputs, themes);
+  }
+  return files;
+});
+
+registerFormat('web/dtcg', ({ themeOutputs, modeOutputs }) => {
+  const files = { 'web/tokens.dtcg.json': JSON.stringify(generateDTCG(themeOutputs), null, 2) };
+  for (const [mode, outputs] of Object.entries(modeOutputs)) {
+    files[`web/tokens.${mode}.dtcg.json`] = JSON.stringify(generateDTCG(outputs), null, 2);
+  }
+  return files;
+});
+
+// Built-in Android formats, in a res/ layout: each theme family's light colors in
+// values/, its dark colors in values-night/. The default theme's family keeps
+// unprefixed resource names, other families are prefixed (advance_color_...).
+// Shared dimens come from the default theme and are only regenerated when it changed;
+// mode combinations that change them get prefixed copies (dimens_density_compact.xml)
+
+/**
+ * Theme families with the color resource prefix each one uses on Android
+ */
+function getAndroidFamilies(themes) {
+  const families = getThemeFamilies(themes);
+  return families.map((family, index) => ({
+    ...family,
+    prefix: index === 0 ? '' : `${family.name.replace(/-/g, '_')}_`
+  }));
+}
+
+registerFormat('android/colors', ({ themeOutputs, themes, changed }) => {
+  const files = {};
+  getAndroidFamilies(themes).forEach((family, index) => {
+    const filename = index === 0 ? 'colors.xml' : `colors_${family.prefix.slice(0, -1)}.xml`;
+    if (changed.includes(family.light)) {
+      files[`android/res/values/${filename}`] = generateAndroidColors(themeOutputs[family.light], family.light, family.prefix);
+    }
+    if (family.dark !== family.light && changed.includes(family.dark)) {
+      files[`android/res/values-night/${filename}`] = generateAndroidColors(themeOutputs[family.dark], family.dark, family.prefix);
+    }
+  });
+  return files;
+});
+
+registerFormat('android/themes', ({ themeOutputs, themes }) => ({
+  'android/res/values/attrs.xml': generateAndroidAttrs(themeOutputs[themes[0]]),
+  'android/res/values/themes.xml': generateAndroidThemes(themeOutputs, getAndroidFamilies(themes))
+}));
+
+registerFormat('android/dimens', ({ themeOutputs, themes, modeOutputs, changed }) => {
+  if (!changed.includes(themes[0])) return {};
+  const files = { 'android/res/values/dimens.xml': generateAndroidDimens(themeOutputs[themes[0]]) };
+  for (const [mode, resolvedTokens] of getModeVariants(modeOutputs, themeOutputs, themes, generateAndroidDimens)) {
+    files[`android/res/values/dimens_${toModeSnakeCase(mode)}.xml`] = generateAndroidDimens(resolvedTokens, mode);
+  }
+  return files;
+});
+
+registerFormat('android/shadows', ({ themeOutputs, themes, changed }) => (
+  changed.includes(themes[0])
+    ? { 'android/res/values/shadows.xml': generateAndroidShadows(themeOutputs[themes[0]]) }
+    : {}
+));
+
+registerFormat('android/text-appearances', ({ themeOutputs, themes, changed }) => (
+  changed.includes(themes[0])
+    ? { 'android/res/values/text_appearances.xml': generateAndroidTextAppearances(themeOutputs[themes[0]]) }
+    : {}
+));
+
+registerFormat('android/font-dimens', ({ themeOutputs, themes, changed }) => (
+  changed.includes(themes[0])
+    ? { 'android/res/values/font_dimens.xml': generateAndroidFontDimens(themeOutputs[themes[0]]) }
+    : {}
+));
+
+// Built-in iOS formats (shared values come from the default theme and are
+// only regenerated when it changed; mode combinations that change the shared
+// dimensions get their own class, StyleDictionaryDensityCompact)
+registerFormat('ios/colors', ({ themeOutputs, changed }) => {
+  const files = {};
+  changed.forEach(theme => {
+    files[`ios/${toSwiftColorClassName(theme)}.swift`] = generateSwiftColors(themeOutputs[theme], theme);
+  });
+  return files;
+});
+
+registerFormat('ios/dynamic-colors', ({ themeOutputs, themes, changed }) => {
+  const files = {};
+  getThemeFamilies(themes).forEach(family => {
+    if (!changed.includes(family.light) && !changed.includes(family.dark)) return;
+    files[`ios/DynamicColor${toPascalCase(family.name)}.swift`] = generateSwiftDynamicColors(
+      themeOutputs[family.light],
+      themeOutputs[family.dark],
+      family
+    );
+  });
+  return files;
+});
+
+registerFormat('ios/asset-catalog', ({ themeOutputs, themes, changed }) => {
+  const files = {
+    'ios/Tokens.xcassets/Contents.json': JSON.stringify({ info: { author: 'xcode', version: 1 } }, null, 2)
+  };
+  getThemeFamilies(themes).forEach(family => {
+    if (!changed.includes(family.light) && !changed.includes(family.dark)) return;
+    const colorsets = generateAssetCatalogColors(themeOutputs[family.light], themeOutputs[family.dark], family);
+    for (const [file, content] of Object.entries(colorsets)) {
+      files[`ios/Tokens.xcassets/${file}`] = content;
+    }
+  });
+  return files;
+});
+
+registerFormat('ios/shadows', ({ themeOutputs, themes, changed }) => (
+  changed.includes(themes[0])
+    ? { 'ios/Shadows.swift': generateSwiftShadows(themeOutputs[themes[0]]) }
+    : {}
+));
+
+registerFormat('ios/text-styles', ({ themeOutputs, themes, changed }) => (
+  changed.includes(themes[0])
+    ? { 'ios/TextStyles.swift': generateSwiftTextStyles(themeOutputs[themes[0]]) }
+    : {}
+));
+
+registerFormat('ios/shared', ({ themeOutputs, themes, modeOutputs, changed }) => {
+  if (!changed.includes(themes[0])) return {};
+  const files = { 'ios/StyleDictionary.swift': generateSwiftShared(themeOutputs[themes[0]]) };
+  for (const [mode, resolvedTokens] of getModeVariants(modeOutputs, themeOutputs, themes, generateSwiftShared)) {
+    files[`ios/StyleDictionary${toModePascalCase(mode)}.swift`] = generateSwiftShared(resolvedTokens, mode);
+  }
+  return files;
+});
+
+// Built-in Jetpack Compose formats (package from the platform's packageName);
+// dimensions and typography come from the default theme, and mode combinations
+// that change the dimensions get their own objects (TokenSpacingDensityCompact)
+const COMPOSE_PACKAGE = 'com.tokensds.tokens';
+
+// TokenColors declares the colors of every theme, so a change to one theme's
+// colors can change every instance: all of them are regenerated
+registerFormat('compose/colors', ({ themeOutputs, themes, options }) => {
+  const packageName = options.packageName || COMPOSE_PACKAGE;
+  const packagePath = packageName.replace(/\./g, '/');
+  const colors = getSemanticColorUnion(themeOutputs, themes);
+  const files = {
+    [`compose/${packagePath}/TokenColors.kt`]: generateComposeColorClass(themeOutputs, themes, packageName)
+  };
+  themes.forEach(theme => {
+    files[`compose/${packagePath}/${toPascalCase(theme)}Colors.kt`] = generateComposeColors(themeOutputs[theme], theme, packageName, colors);
+  });
+  return files;
+});
+
+registerFormat('compose/dimens', ({ themeOutputs, themes, modeOutputs, changed, options }) => {
+  if (!changed.includes(themes[0])) return {};
+  const packageName = options.packageName || COMPOSE_PACKAGE;
+  const packagePath = packageName.replace(/\./g, '/');
+  const generate = (resolvedTokens, mode) => generateComposeDimens(resolvedTokens, packageName, mode);
+  const files = {
+    [`compose/${packagePath}/TokenDimens.kt`]: generate(themeOutputs[themes[0]])
+  };
+  for (const [mode, resolvedTokens] of getModeVariants(modeOutputs, themeOutputs, themes, generate)) {
+    files[`compose/${packagePath}/TokenDimens${toModePascalCase(mode)}.kt`] = generate(resolvedTokens, mode);
+  }
+  return files;
+});
+
+registerFormat('compose/typography', ({ themeOutputs, themes, changed, options }) => {
+  if (!changed.includes(themes[0])) return {};
+  const packageName = options.packageName || COMPOSE_PACKAGE;
+  return {
+    [`compose/${packageName.replace(/\./g, '/')}/TokenTypography.kt`]: generateComposeTypography(themeOutputs[themes[0]], packageName)
+  };
+});
+
+// Built-in Flutter formats. The library, color class and theme list come from
+// all themes; dimens and typography from the default theme, and mode combinations
+// that change the dimensions get their own classes (TokenSpacingDensityCompact).
+// TokenColors declares the colors of every theme, so every theme file is
+// regenerated with it
+registerFormat('flutter/themes', ({ themeOutputs, themes, modeOutputs }) => {
+  const colors = getSemanticColorUnion(themeOutputs, themes);
+  const modes = getModeVariants(modeOutputs, themeOutputs, themes, generateFlutterDimens).map(([mode]) => mode);
+  const files = {
+    'flutter/tokens.dart': generateFlutterLibrary(themes, modes),
+    'flutter/token_colors.dart': generateFlutterColorClass(themeOutputs, themes)
+  };
+  themes.forEach(theme => {
+    files[`flutter/${toDartFileName(theme)}.dart`] = generateFlutterTheme(themeOutputs[theme], theme, colors);
+  });
+  return files;
+});
+
+registerFormat('flutter/dimens', ({ themeOutputs, themes, modeOutputs, changed }) => {
+  if (!changed.includes(themes[0])) return {};
+  const files = { 'flutter/token_dimens.dart': generateFlutterDimens(themeOutputs[themes[0]]) };
+  for (const [mode, resolvedTokens] of getModeVariants(modeOutputs, themeOutputs, themes, generateFlutterDimens)) {
+    files[`flutter/${toFlutterDimensFile(mode)}.dart`] = generateFlutterDimens(resolvedTokens, mode);
+  }
+  return files;
+});
+
+registerFormat('flutter/typography', ({ themeOutputs, themes, changed }) => (
+  changed.includes(themes[0])
+    ? { 'flutter/token_typography.dart': generateFlutterTypography(themeOutputs[themes[0]]) }
+    : {}
+));
+
+// Built-in platforms, in build order: the transforms and formats each one runs
+const PLATFORMS = {
+  web: {
+    label: '📄 Generating Web (CSS, SCSS, Less, JS, Tailwind)...',
+    transforms: ['name/css'],
+    baseFontSize: BASE_FONT_SIZE,
+    formats: ['web/css', 'web/scss', 'web/less', 'web/js', 'web/tailwind', 'web/json', 'web/dtcg'],
+    splitThemes: false,
+    colorScheme: false,
+    colorMix: true
+  },
+  android: {
+    label: '📱 Generating Android (XML)...',
+    transforms: ['name/android', 'size/dp'],
+    baseFontSize: BASE_FONT_SIZE,
+    formats: ['android/colors', 'android/themes', 'android/dimens', 'android/font-dimens', 'android/text-appearances', 'android/shadows']
+  },
+  ios: {
+    label: '🍎 Generating iOS (Swift)...',
+    transforms: ['name/swift', 'size/pt'],
+    baseFontSize: BASE_FONT_SIZE,
+    formats: ['ios/colors', 'ios/dynamic-colors', 'ios/asset-catalog', 'ios/text-styles', 'ios/shadows', 'ios/shared']
+  },
+  compose: {
+    label: '🧩 Generating Jetpack Compose (Kotlin)...',
+    transforms: ['name/kotlin', 'size/dp'],
+    baseFontSize: BASE_FONT_SIZE,
+    formats: ['compose/colors', 'compose/dimens', 'compose/typography'],
+    packageName: COMPOSE_PACKAGE
+  },
+  flutter: {
+    label: '🐦 Generating Flutter (Dart)...',
+    transforms: ['name/dart', 'size/px'],
+    baseFontSize: BASE_FONT_SIZE,
+    formats: ['flutter/themes', 'flutter/dimens', 'flutter/typography']
+  }
+};
+
+/**
+ * Load a project config
+ * 
+ * A config (object, or path to a module exporting one; tokens.config.js in the
+ * project directory is used if it exists) may contain:
+ *   transforms: { [name]: transform definition, see registerTransform() }
+ *   formats:    { [name]: format function, see registerFormat() }
+ *   platforms:  { [name]: { label, transforms, formats } }, merged over the built-in platforms
+ *   modes:      the mode combinations to build, see selectModes()
+ * 
+ * Returns { platforms, transforms, formats, modes }: the platform definitions to
+ * build with, the built-in registries extended with the config's own transforms
+ * and formats (the built-in registries are left untouched), and the config's
+ * mode selection
+ */
+function loadConfig(config, projectDir = '.') {
+  if (config === undefined) {
+    const configFile = path.join(projectDir, CONFIG_FILE);
+    config = fs.existsSync(configFile) ? configFile : {};
+  }
+  if (typeof config === 'string') {
+    const configPath = path.resolve(config);
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`Config file not found: ${config}`);
     }
+    // Drop the cached module so a watch rebuild sees edits to the config
+    delete require.cache[require.resolve(configPath)];
+    config = require(configPath);
   }
   
-  return null;
+  const configTransforms = { ...transforms };
+  for (const [name, definition] of Object.entries(config.transforms || {})) {
+    registerTransform(name, definition, configTransforms);
+  }
+  const configFormats = { ...formats };
+  for (const [name, format] of Object.entries(config.formats || {})) {
+    registerFormat(name, format, configFormats);
+  }
+  
+  const platforms = { ...PLATFORMS };
+  for (const [name, definition] of Object.entries(config.platforms || {})) {
+    platforms[name] = { ...PLATFORMS[name], ...definition };
+  }
+  return { platforms, transforms: configTransforms, formats: configFormats, modes: config.modes };
 }
 
 /**
- * Generate CSS for a theme
- * Uses cssValue which preserves references as var() for component tokens
+ * Run a platform's transforms and formats, looked up in the given registries
  */
-function generateThemeCSS(resolvedTokens, theme, isDefault = false) {
-  const lines = [];
-  const selector = isDefault 
-    ? `:root, [data-theme="${theme}"]`
-    : `[data-theme="${theme}"]`;
+function generatePlatformFiles(platform, definition, themeOutputs, themes, changed, modeOutputs = {}, modes = {}, registries = { transforms, formats }) {
+  const transformTheme = resolvedTokens => applyTransforms(resolvedTokens, definition.transforms, definition, registries.transforms);
+  const transformed = {};
+  for (const theme of themes) {
+    transformed[theme] = transformTheme(themeOutputs[theme]);
+  }
+  const transformedModes = {};
+  for (const [key, outputs] of Object.entries(modeOutputs)) {
+    transformedModes[key] = {};
+    for (const theme of themes) {
+      transformedModes[key][theme] = transformTheme(outputs[theme]);
+    }
+  }
   
-  lines.push(`${selector} {`);
+  const files = {};
+  for (const name of definition.formats || []) {
+    const format = registries.formats[name];
+    if (!format) throw new Error(`Unknown format "${name}" in platform "${platform}"`);
+    Object.assign(files, format({
+      themeOutputs: transformed,
+      themes,
+      modeOutputs: transformedModes,
+      modes,
+      changed,
+      platform,
+      options: definition
+    }));
+  }
+  return files;
+}
+
+/**
+ * Write generated files under the output directory
+ */
+function writeFiles(files, outputDir, log = console.log) {
+  // Bundles such as asset catalogs are logged once, not file by file
+  const bundles = {};
   
-  // Sort by token path
-  const sorted = Object.entries(resolvedTokens).sort(([a], [b]) => a.localeCompare(b));
+  for (const [file, content] of Object.entries(files)) {
+    const filePath = path.join(outputDir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content, 'utf8');
+    
+    const bundle = filePath.match(/^.*?\.xcassets/);
+    if (bundle) {
+      bundles[bundle[0]] = (bundles[bundle[0]] || 0) + 1;
+    } else {
+      log(`  ✓ ${filePath}`);
+    }
+  }
   
-  for (const [path, token] of sorted) {
-    // Use cssValue for CSS output (preserves var() references)
-    const value = token.cssValue;
-    if (value && typeof value === 'string') {
-      lines.push(`  ${toCSSVarName(path)}: ${value};`);
+  for (const [bundle, count] of Object.entries(bundles)) {
+    log(`  ✓ ${bundle} (${count} files)`);
+  }
+}
+
+// Built-in platforms whose outputs only vary by mode in their dimension files
+const NATIVE_PLATFORMS = ['android', 'ios', 'compose', 'flutter'];
+
+/**
+ * Tokens a mode combination changes that native platforms have no mode
+ * variants for: anything but dimensions (colors, typography, shadows...)
+ * Returns { [mode]: [paths] }, for combinations with such changes
+ */
+function findNativeModeChanges(themeOutputs, modeOutputs, themes) {
+  const changes = {};
+  for (const [mode, outputs] of Object.entries(modeOutputs)) {
+    const paths = new Set();
+    for (const theme of themes) {
+      for (const [tokenPath, token] of Object.entries(getChangedTokens(outputs[theme], themeOutputs[theme]))) {
+        if (!isLengthToken(token, tokenPath) || tokenPath.includes('fontSize')) paths.add(tokenPath);
+      }
+    }
+    if (paths.size > 0) changes[mode] = [...paths].sort();
+  }
+  return changes;
+}
+
+/**
+ * Print the mode changes native platforms leave out
+ */
+function reportNativeModeChanges(changes, warn = console.warn) {
+  for (const [mode, paths] of Object.entries(changes)) {
+    warn(`\n⚠️  Mode ${mode} changes ${paths.length} token(s) that native platforms only build with their default value:`);
+    for (const tokenPath of paths) {
+      warn(`  - ${tokenPath}`);
     }
   }
+}
+
+/**
+ * Resolve a build's directories and project files
+ * Relative paths are taken from the cwd option (default: the process's working
+ * directory). The project directory holding tokens.config.js, contrast-pairs.json
+ * and the default build directory is cwd if given, else the directory holding sourceDir
+ */
+function resolveProjectPaths(options = {}) {
+  const resolve = file => (path.isAbsolute(file) ? file : path.join(options.cwd || '.', file));
+  const sourceDir = resolve(options.sourceDir || TOKENS_DIR);
+  const projectDir = options.cwd || path.dirname(sourceDir);
   
-  lines.push('}');
-  return lines.join('\n');
+  return {
+    sourceDir,
+    projectDir,
+    outputDir: options.outputDir ? resolve(options.outputDir) : path.join(projectDir, BUILD_DIR),
+    config: typeof options.config === 'string' ? resolve(options.config) : options.config,
+    contrastPairsFile: path.join(projectDir, CONTRAST_PAIRS_FILE)
+  };
 }
 
 /**
- * Generate Android colors.xml for a theme
+ * Main build function
+ * 
+ * Options:
+ *   cwd:           directory relative paths are resolved from (default: the process's
+ *                  working directory), and the project directory if given
+ *   sourceDir:     token source directory (default <cwd>/tokens)
+ *   outputDir:     build output directory (default build/ in the project directory)
+ *   themes:        every theme to include in combined outputs, the first one is the
+ *                  default (default: every theme file in sourceDir)
+ *   modes:         mode combinations to build, e.g. { density: ['compact'] } (default: the
+ *                  config's modes, else every mode file in sourceDir), see selectModes()
+ *   config:        project config object or path (default: tokens.config.js in the
+ *                  project directory), see loadConfig() and resolveProjectPaths()
+ *   platforms:     platforms to generate (default: every configured platform)
+ *   write:         write the files to outputDir (default true); files are returned either way
+ *   strict:        fail if a contrast pair is below its required level
+ *   contrastPairs: foreground/background pairs to audit (default: contrast-pairs.json
+ *                  in the project directory)
+ *   quiet:         don't log progress
+ *   changed:       themes whose per-theme outputs need regenerating (default: all themes);
+ *                  shared outputs are only regenerated when the default theme changed
+ *   cache:         previously resolved themes to reuse for the unchanged ones
+ *   modeCache:     the same for mode combinations (a previous build's modeOutputs)
+ * 
+ * Returns { themeOutputs, modeOutputs, files }, with file contents keyed by path
+ * relative to outputDir and modeOutputs keyed by mode combination (see toModeKey())
  */
-function generateAndroidColors(resolvedTokens, theme) {
-  const lines = [];
-  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
-  lines.push('');
-  lines.push('<!--');
-  lines.push(`  Design Tokens - ${theme} theme`);
-  lines.push(`  Generated on ${new Date().toUTCString()}`);
-  lines.push('-->');
-  lines.push('<resources>');
+function build(options = {}) {
+  const { sourceDir, projectDir, outputDir, config, contrastPairsFile } = resolveProjectPaths(options);
+  const {
+    themes = discoverThemes(sourceDir),
+    write = true,
+    strict = false,
+    contrastPairs = loadContrastPairs(contrastPairsFile),
+    quiet = false,
+    changed = themes,
+    cache = {},
+    modeCache = {}
+  } = options;
+  const log = quiet ? () => {} : console.log;
+  const { platforms: platformDefinitions, modes: configModes, ...registries } = loadConfig(config, projectDir);
+  const { platforms = Object.keys(platformDefinitions) } = options;
+  const modes = selectModes(discoverModes(sourceDir), options.modes !== undefined ? options.modes : configModes);
   
-  const sorted = Object.entries(resolvedTokens).sort(([a], [b]) => a.localeCompare(b));
+  const unknownPlatform = platforms.find(platform => !platformDefinitions[platform]);
+  if (unknownPlatform) {
+    throw new Error(`Unknown platform "${unknownPlatform}" (available: ${Object.keys(platformDefinitions).join(', ')})`);
+  }
   
-  for (const [path, token] of sorted) {
-    const value = token.resolvedValue;
-    if (isColor(value)) {
-      const androidColor = hexToAndroidColor(value);
-      if (androidColor) {
-        const resourceName = toAndroidResourceName(path);
-        lines.push(`  <color name="${resourceName}">${androidColor}</color>`);
+  log('🎨 Building Hierarchical Design Tokens...\n');
+  log(`📦 Themes: ${themes.join(', ')}\n`);
+  for (const [axis, values] of Object.entries(modes)) {
+    log(`🎚️  Modes (${axis}): ${values.join(', ')}\n`);
+  }
+  
+  const defaultModes = getDefaultModes(modes);
+  const rebuilt = processThemes(changed, sourceDir, log, defaultModes);
+  const themeOutputs = {};
+  for (const theme of themes) {
+    themeOutputs[theme] = rebuilt[theme] || cache[theme];
+  }
+  
+  // Every theme × mode combination; themes not cached for a combination are rebuilt too
+  const modeOutputs = {};
+  for (const combination of getModeCombinations(modes)) {
+    const key = toModeKey(combination);
+    const cached = modeCache[key] || {};
+    const toBuild = themes.filter(theme => changed.includes(theme) || !cached[theme]);
+    const rebuiltModes = processThemes(toBuild, sourceDir, log, { ...defaultModes, ...combination });
+    
+    modeOutputs[key] = {};
+    for (const theme of themes) {
+      modeOutputs[key][theme] = rebuiltModes[theme] || cached[theme];
+    }
+  }
+  
+  if (!quiet) reportDeprecations(findDeprecatedTokens(rebuilt));
+  if (!quiet && platforms.some(platform => NATIVE_PLATFORMS.includes(platform))) {
+    reportNativeModeChanges(findNativeModeChanges(themeOutputs, modeOutputs, themes));
+  }
+  
+  const files = {};
+  
+  // Contrast audit (fails the build in strict mode)
+  if (contrastPairs.length > 0) {
+    log('\n♿ Auditing contrast (WCAG 2.x)...');
+    const contrastResults = auditContrast(themeOutputs, contrastPairs);
+    reportContrast(contrastResults, log);
+    
+    files['reports/contrast.json'] = JSON.stringify(contrastResults, null, 2);
+    if (write) {
+      log('');
+      writeFiles({ 'reports/contrast.json': files['reports/contrast.json'] }, outputDir, log);
+    }
+    
+    const failures = contrastResults.filter(result => !result.pass);
+    if (failures.length > 0) {
+      if (!quiet) console.warn(`  ⚠️  ${failures.length} pair(s) below the required contrast level`);
+      if (strict) {
+        const error = new Error('Contrast audit failed (strict)');
+        error.contrastFailures = failures;
+        throw error;
       }
     }
   }
   
-  lines.push('</resources>');
-  return lines.join('\n');
+  for (const platform of platforms) {
+    const definition = platformDefinitions[platform];
+    log(`\n${definition.label || `📦 Generating ${platform}...`}`);
+    const platformFiles = generatePlatformFiles(platform, definition, themeOutputs, themes, changed, modeOutputs, modes, registries);
+    Object.assign(files, platformFiles);
+    if (write) writeFiles(platformFiles, outputDir, log);
+  }
+  
+  log('\n✅ Build complete!');
+  log(`\n📊 Summary:`);
+  log(`   Themes built: ${changed.length}${changed.length < themes.length ? ` of ${themes.length}` : ''}`);
+  if (Object.keys(modeOutputs).length > 0) {
+    log(`   Mode combinations: ${Object.keys(modeOutputs).join(', ')}`);
+  }
+  log(`   Tokens per theme: ~${Object.keys(themeOutputs[themes[0]]).length}`);
+  
+  return { themeOutputs, modeOutputs, files };
 }
 
 /**
- * Generate Android dimens.xml (shared across themes)
+ * Read the theme a theme file extends, or null (unreadable files extend nothing)
  */
-function generateAndroidDimens(resolvedTokens) {
-  const lines = [];
-  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
-  lines.push('');
-  lines.push('<!--');
-  lines.push('  Design Tokens - Dimensions');
-  lines.push(`  Generated on ${new Date().toUTCString()}`);
-  lines.push('-->');
-  lines.push('<resources>');
-  
-  const sorted = Object.entries(resolvedTokens).sort(([a], [b]) => a.localeCompare(b));
+function getThemeParent(theme, sourceDir = TOKENS_DIR) {
+  try {
+    const themeFile = path.join(sourceDir, 'foundation', `theme-${theme}.json`);
+    return JSON.parse(fs.readFileSync(themeFile, 'utf8')).$extends || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Work out which themes a set of changed token files affects
+ * A theme file affects that theme and every theme extending it, and a brand or
+ * color scheme file the themes combining it (and the themes extending those);
+ * any other token file is shared and affects every theme
+ */
+function getAffectedThemes(changedFiles, themes, sourceDir = TOKENS_DIR) {
+  const changedNames = new Set();
   
-  for (const [path, token] of sorted) {
-    const value = token.resolvedValue;
-    if (typeof value === 'string' && value.endsWith('px')) {
-      const resourceName = toAndroidResourceName(path);
-      const dpValue = value.replace('px', 'dp');
-      lines.push(`  <dimen name="${resourceName}">${dpValue}</dimen>`);
+  for (const file of changedFiles) {
+    const name = path.basename(file);
+    const isThemeFile = [THEME_FILE_PATTERN, BRAND_FILE_PATTERN, SCHEME_FILE_PATTERN].some(pattern => pattern.test(name));
+    if (!isThemeFile || path.basename(path.dirname(file)) !== 'foundation') {
+      return themes;
     }
+    changedNames.add(name);
   }
   
-  lines.push('</resources>');
-  return lines.join('\n');
+  return themes.filter(theme => {
+    const lineage = [];
+    for (let current = theme; current && !lineage.includes(current); current = getThemeParent(current, sourceDir)) {
+      lineage.push(current);
+    }
+    return lineage.some(ancestor => {
+      const axes = getThemeAxes(ancestor, sourceDir);
+      return changedNames.has(`theme-${ancestor}.json`) ||
+        Boolean(axes && (changedNames.has(`brand-${axes.brand}.json`) || changedNames.has(`scheme-${axes.scheme}.json`)));
+    });
+  });
 }
 
 /**
- * Generate Android font dimens (shared across themes)
+ * Watch a directory and its subdirectories for JSON file changes
+ * Watching directories (not files) keeps working when editors replace files on save.
+ * Subdirectories created later (a new tokens/modes/<axis>/) are watched as they
+ * appear, and a created or removed directory counts as a change
  */
-function generateAndroidFontDimens(resolvedTokens) {
-  const lines = [];
-  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
-  lines.push('');
-  lines.push('<!--');
-  lines.push('  Design Tokens - Font Dimensions');
-  lines.push(`  Generated on ${new Date().toUTCString()}`);
-  lines.push('-->');
-  lines.push('<resources>');
+function watchDirectory(dir, onChange, watchers = new Map()) {
+  if (watchers.has(dir)) return;
   
-  const sorted = Object.entries(resolvedTokens).sort(([a], [b]) => a.localeCompare(b));
+  watchers.set(dir, fs.watch(dir, (event, filename) => {
+    if (!filename) return;
+    const filePath = path.join(dir, filename);
+    if (filename.endsWith('.json')) {
+      onChange(filePath);
+      return;
+    }
+    
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      watchDirectory(filePath, onChange, watchers);
+      onChange(filePath);
+    } else if (watchers.has(filePath)) {
+      for (const [watchedDir, watcher] of watchers) {
+        if (watchedDir === filePath || watchedDir.startsWith(filePath + path.sep)) {
+          watcher.close();
+          watchers.delete(watchedDir);
+        }
+      }
+      onChange(filePath);
+    }
+  }));
   
-  for (const [path, token] of sorted) {
-    const value = token.resolvedValue;
-    if (path.includes('fontSize') && typeof value === 'string' && value.endsWith('px')) {
-      const resourceName = toAndroidResourceName(path);
-      const spValue = value.replace('px', 'sp');
-      lines.push(`  <dimen name="${resourceName}">${spValue}</dimen>`);
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (item.isDirectory()) {
+      watchDirectory(path.join(dir, item.name), onChange, watchers);
     }
   }
-  
-  lines.push('</resources>');
-  return lines.join('\n');
 }
 
 /**
- * Generate iOS Swift file for a theme
+ * Print a build error, including every broken reference if there are any
  */
-function generateSwiftColors(resolvedTokens, theme) {
-  const className = `StyleDictionaryColor${theme.split('-').map(p => p.charAt(0).toUpperCase() + p.slice(1)).join('')}`;
-  const lines = [];
+function reportBuildError(error) {
+  if (error.validationErrors) {
+    reportValidationErrors(error.validationErrors);
+  }
+  console.error(`\n❌ ${error.message}`);
+}
+
+/**
+ * Watch the source directory and rebuild only what a change affects
+ * Takes the same options as build(), except themes (rediscovered on every change)
+ * Errors (bad JSON, broken references...) are reported without stopping the watcher
+ */
+function watch(options = {}) {
+  const { sourceDir, projectDir, config } = resolveProjectPaths(options);
+  let themes = [];
+  let cache = {};
+  let modeCache = {};
+  let pending = new Set();
+  let timer = null;
   
-  lines.push('//');
-  lines.push(`// ${className}.swift`);
-  lines.push('//');
-  lines.push('');
-  lines.push('// Design Tokens - Color definitions');
-  lines.push(`// Theme: ${theme}`);
-  lines.push(`// Generated on ${new Date().toUTCString()}`);
-  lines.push('');
-  lines.push('import UIKit');
-  lines.push('');
-  lines.push(`public class ${className} {`);
+  const rebuild = changedFiles => {
+    try {
+      const currentThemes = discoverThemes(sourceDir);
+      const themesChanged = currentThemes.join() !== themes.join();
+      const changed = !changedFiles || themesChanged
+        ? currentThemes
+        : getAffectedThemes(changedFiles, currentThemes, sourceDir);
+      
+      // Any theme we have no cached output for has to be rebuilt too
+      const toBuild = currentThemes.filter(theme => changed.includes(theme) || !cache[theme]);
+      if (toBuild.length === 0) return;
+      
+      const result = build({ ...options, themes: currentThemes, changed: toBuild, cache, modeCache });
+      cache = result.themeOutputs;
+      modeCache = result.modeOutputs;
+      themes = currentThemes;
+    } catch (error) {
+      reportBuildError(error);
+    }
+    console.log(`\n👀 Watching ${sourceDir} for changes...`);
+  };
   
-  const sorted = Object.entries(resolvedTokens).sort(([a], [b]) => a.localeCompare(b));
+  rebuild(null);
   
-  for (const [path, token] of sorted) {
-    const value = token.resolvedValue;
-    if (isColor(value)) {
-      const uiColor = hexToUIColor(value);
-      if (uiColor) {
-        const propertyName = toSwiftPropertyName(path);
-        lines.push(`    public static let ${propertyName} = ${uiColor}`);
-      }
-    }
-  }
+  const onChange = file => {
+    // Editors often emit several events per save; batch them
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changedFiles = [...pending];
+      pending = new Set();
+      console.log(`\n🔄 Changed: ${changedFiles.join(', ')}\n`);
+      rebuild(changedFiles);
+    }, 100);
+  };
+  watchDirectory(sourceDir, onChange);
   
-  lines.push('}');
-  return lines.join('\n');
+  // The config file is reloaded on every build (see loadConfig()), so editing it
+  // rebuilds every theme with the new platforms, transforms and formats
+  if (config === undefined || typeof config === 'string') {
+    const configFile = config || path.join(projectDir, CONFIG_FILE);
+    fs.watch(path.dirname(configFile), (event, filename) => {
+      if (filename === path.basename(configFile)) onChange(configFile);
+    });
+  }
 }
 
+// Token set diffs: compare two tokens.json builds, git refs of tokens/, or the
+// working tree, and suggest the semver bump the changes call for
+
+// Change kind → semver bump, most severe first
+// (rewritten tokens, whose source changed but not their resolved value, need no bump)
+const CHANGE_BUMPS = [
+  ['removed', 'major'],
+  ['renamed', 'major'],
+  ['added', 'minor'],
+  ['deprecated', 'minor'],
+  ['changed', 'patch']
+];
+
 /**
- * Generate shared iOS Swift file
+ * Load a token set as { [theme]: { [path]: { value, resolvedValue, deprecated } } },
+ * the shape of build/web/tokens.json, from:
+ *   - a tokens.json file
+ *   - a directory of token sources
+ *   - a git ref, whose copy of sourceDir is built in a temporary directory
+ *   - undefined, for the working tree's sourceDir
  */
-function generateSwiftShared(resolvedTokens) {
-  const lines = [];
+function loadTokenSet(source, sourceDir = TOKENS_DIR) {
+  if (source === undefined) return buildTokenSet(sourceDir);
   
-  lines.push('//');
-  lines.push('// StyleDictionary.swift');
-  lines.push('//');
-  lines.push('');
-  lines.push('// Design Tokens - Shared values');
-  lines.push(`// Generated on ${new Date().toUTCString()}`);
-  lines.push('');
-  lines.push('import CoreGraphics');
-  lines.push('');
-  lines.push('public class StyleDictionary {');
+  if (fs.existsSync(source)) {
+    if (fs.statSync(source).isDirectory()) return buildTokenSet(source);
+    return JSON.parse(fs.readFileSync(source, 'utf8'));
+  }
   
-  const sorted = Object.entries(resolvedTokens).sort(([a], [b]) => a.localeCompare(b));
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-'));
+  try {
+    const git = args => execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    const sourcePath = path.relative(process.cwd(), path.resolve(sourceDir)) || '.';
+    
+    let files;
+    try {
+      files = git(['ls-tree', '-r', '--name-only', source, '--', sourcePath]).split('\n').filter(Boolean);
+    } catch (error) {
+      throw new Error(`"${source}" is neither a file nor a git ref`);
+    }
+    if (files.length === 0) {
+      throw new Error(`No token files in ${sourcePath} at ${source}`);
+    }
+    
+    for (const file of files) {
+      const target = path.join(tempDir, path.relative(sourcePath, file));
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, git(['show', `${source}:./${file}`]));
+    }
+    return buildTokenSet(tempDir);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Resolve token sources to the tokens.json shape
+ */
+function buildTokenSet(sourceDir) {
+  const themeOutputs = processThemes(discoverThemes(sourceDir), sourceDir, () => {});
+  const tokenSet = {};
   
-  // Dimensions
-  for (const [path, token] of sorted) {
-    const value = token.resolvedValue;
-    if (typeof value === 'string' && value.endsWith('px') && !path.includes('fontSize')) {
-      const propertyName = toSwiftPropertyName(path);
-      const numValue = parseFloat(value);
-      lines.push(`    public static let ${propertyName}: CGFloat = ${numValue}`);
+  for (const [theme, resolvedTokens] of Object.entries(themeOutputs)) {
+    tokenSet[theme] = {};
+    for (const [tokenPath, token] of Object.entries(resolvedTokens)) {
+      tokenSet[theme][tokenPath] = { value: token.value, resolvedValue: token.resolvedValue };
+      if (token.deprecated) tokenSet[theme][tokenPath].deprecated = token.deprecated;
     }
   }
   
-  lines.push('}');
-  return lines.join('\n');
+  return tokenSet;
 }
 
 /**
- * Main build function
+ * Compare two token sets (see loadTokenSet)
+ * 
+ * A removed token and an added token with the same value are reported as a
+ * rename when that value identifies them uniquely; so is a token removed in
+ * favor of a replacement. A token counts as changed when its resolved value
+ * changed; one whose source value changed but resolves to the same value (a
+ * literal rewritten as a reference or expression) is listed as rewritten, once
+ * per token for every theme the same rewrite applies to. Returns
+ *   { bump, addedThemes, removedThemes,
+ *     themes: { [theme]: { added, removed, renamed, changed, deprecated } },
+ *     rewritten: [{ path, from, to, value, themes }] }
  */
-function build() {
-  console.log('🎨 Building Hierarchical Design Tokens...\n');
-  console.log(`📦 Themes: ${THEMES.join(', ')}\n`);
-  
-  // Build each theme
-  const themeOutputs = {};
+function diffTokenSets(oldSet, newSet) {
+  const serialize = value => JSON.stringify(value);
+  const diff = {
+    bump: null,
+    addedThemes: Object.keys(newSet).filter(theme => !oldSet[theme]),
+    removedThemes: Object.keys(oldSet).filter(theme => !newSet[theme]),
+    themes: {},
+    rewritten: []
+  };
+  const rewrites = new Map();
   
-  for (const theme of THEMES) {
-    console.log(`\n🔧 Processing ${theme}...`);
+  for (const theme of Object.keys(newSet).filter(theme => oldSet[theme])) {
+    const oldTokens = oldSet[theme];
+    const newTokens = newSet[theme];
+    const changes = { added: [], removed: [], renamed: [], changed: [], deprecated: [] };
     
-    const tokens = loadThemeTokens(theme);
-    const flatTokens = flattenTokens(tokens);
-    const resolvedTokens = resolveTokens(flatTokens);
+    let removed = Object.keys(oldTokens).filter(tokenPath => !newTokens[tokenPath]);
+    let added = Object.keys(newTokens).filter(tokenPath => !oldTokens[tokenPath]);
     
-    themeOutputs[theme] = resolvedTokens;
+    // Renames: a removed token's deprecation named its replacement, or a
+    // removed and an added token share a value no other candidate has
+    const valueCounts = new Map();
+    for (const [tokenSet, paths] of [[oldTokens, removed], [newTokens, added]]) {
+      for (const tokenPath of paths) {
+        const key = `${tokenSet === oldTokens ? 'old' : 'new'}:${serialize(tokenSet[tokenPath].value)}`;
+        valueCounts.set(key, (valueCounts.get(key) || 0) + 1);
+      }
+    }
+    for (const from of removed) {
+      const oldToken = oldTokens[from];
+      const replacement = oldToken.deprecated && oldToken.deprecated.replacement;
+      const value = serialize(oldToken.value);
+      const to = added.includes(replacement)
+        ? replacement
+        : valueCounts.get(`old:${value}`) === 1 && valueCounts.get(`new:${value}`) === 1
+          ? added.find(tokenPath => serialize(newTokens[tokenPath].value) === value)
+          : null;
+      if (to) changes.renamed.push({ from, to });
+    }
+    removed = removed.filter(tokenPath => !changes.renamed.some(rename => rename.from === tokenPath));
+    added = added.filter(tokenPath => !changes.renamed.some(rename => rename.to === tokenPath));
+    
+    changes.removed = removed.map(tokenPath => ({ path: tokenPath, value: oldTokens[tokenPath].resolvedValue }));
+    changes.added = added.map(tokenPath => ({ path: tokenPath, value: newTokens[tokenPath].resolvedValue }));
+    
+    for (const [tokenPath, newToken] of Object.entries(newTokens)) {
+      const oldToken = oldTokens[tokenPath];
+      if (!oldToken) continue;
+      
+      if (serialize(oldToken.resolvedValue) !== serialize(newToken.resolvedValue)) {
+        changes.changed.push({ path: tokenPath, from: oldToken.resolvedValue, to: newToken.resolvedValue });
+      } else if (serialize(oldToken.value) !== serialize(newToken.value)) {
+        const rewrite = { path: tokenPath, from: oldToken.value, to: newToken.value, value: newToken.resolvedValue };
+        const key = serialize(rewrite);
+        if (!rewrites.has(key)) rewrites.set(key, { ...rewrite, themes: [] });
+        rewrites.get(key).themes.push(theme);
+      }
+      if (newToken.deprecated && !oldToken.deprecated) {
+        changes.deprecated.push({ path: tokenPath, replacement: newToken.deprecated.replacement || null });
+      }
+    }
     
-    console.log(`   Found ${Object.keys(resolvedTokens).length} tokens`);
+    for (const list of Object.values(changes)) {
+      list.sort((a, b) => (a.path || a.from).localeCompare(b.path || b.from));
+    }
+    if (Object.values(changes).some(list => list.length > 0)) {
+      diff.themes[theme] = changes;
+    }
   }
   
-  // Generate Web CSS
-  console.log('\n📄 Generating Web (CSS)...');
-  const cssLines = [];
+  diff.rewritten = [...rewrites.values()].sort((a, b) => a.path.localeCompare(b.path));
   
-  cssLines.push(`/**
- * Design Tokens
- * Generated on ${new Date().toUTCString()}
- * 
- * Themes: ${THEMES.join(', ')}
+  const kinds = new Set(Object.values(diff.themes).flatMap(changes => Object.keys(changes).filter(kind => changes[kind].length > 0)));
+  if (diff.removedThemes.length > 0) kinds.add('removed');
+  if (diff.addedThemes.length > 0) kinds.add('added');
+  const match = CHANGE_BUMPS.find(([kind]) => kinds.has(kind));
+  diff.bump = match ? match[1] : null;
+  
+  return diff;
+}
+
+/**
+ * Format a token diff as Markdown release notes
  */
-`);
+function formatTokenDiff(diff) {
+  const lines = ['# Token changes', ''];
+  const code = value => `\`${typeof value === 'string' ? value : JSON.stringify(value)}\``;
   
-  THEMES.forEach((theme, index) => {
-    const isDefault = index === 0; // classic-light is default
-    cssLines.push(generateThemeCSS(themeOutputs[theme], theme, isDefault));
-    cssLines.push('');
-  });
+  if (Object.keys(diff.themes).length === 0 && diff.rewritten.length === 0 && !diff.bump) {
+    lines.push('No token changes.');
+    return lines.join('\n');
+  }
   
-  fs.writeFileSync(path.join(BUILD_DIR, 'web', 'tokens.css'), cssLines.join('\n'), 'utf8');
-  console.log('  ✓ build/web/tokens.css');
+  lines.push(diff.bump
+    ? `Suggested version bump: **${diff.bump}**`
+    : 'No version bump needed: token sources changed, but every resolved value is the same.');
   
-  // Generate JSON
-  const jsonOutput = {};
-  for (const theme of THEMES) {
-    jsonOutput[theme] = {};
-    for (const [path, token] of Object.entries(themeOutputs[theme])) {
-      jsonOutput[theme][path] = {
-        value: token.value,
-        resolvedValue: token.resolvedValue
-      };
+  if (diff.removedThemes.length > 0) {
+    lines.push('', `Removed themes: ${diff.removedThemes.map(code).join(', ')}`);
+  }
+  if (diff.addedThemes.length > 0) {
+    lines.push('', `Added themes: ${diff.addedThemes.map(code).join(', ')}`);
+  }
+  
+  const sections = [
+    ['removed', 'Removed', change => `- ${code(change.path)} (was ${code(change.value)})`],
+    ['renamed', 'Renamed', change => `- ${code(change.from)} → ${code(change.to)}`],
+    ['added', 'Added', change => `- ${code(change.path)}: ${code(change.value)}`],
+    ['deprecated', 'Deprecated', change => `- ${code(change.path)}${change.replacement ? `, use ${code(change.replacement)}` : ''}`],
+    ['changed', 'Changed', change => `- ${code(change.path)}: ${code(change.from)} → ${code(change.to)}`]
+  ];
+  
+  for (const [theme, changes] of Object.entries(diff.themes)) {
+    lines.push('', `## ${theme}`);
+    for (const [kind, title, format] of sections) {
+      if (changes[kind].length === 0) continue;
+      lines.push('', `### ${title} (${changes[kind].length})`, '');
+      lines.push(...changes[kind].map(format));
     }
   }
-  fs.writeFileSync(path.join(BUILD_DIR, 'web', 'tokens.json'), JSON.stringify(jsonOutput, null, 2), 'utf8');
-  console.log('  ✓ build/web/tokens.json');
   
-  // Generate Android files
-  console.log('\n📱 Generating Android (XML)...');
+  // Rewrites are listed once per token, with the themes they apply to
+  if (diff.rewritten.length > 0) {
+    lines.push('', `## Rewritten (same resolved value, no bump) (${diff.rewritten.length})`, '');
+    lines.push(...diff.rewritten.map(change => `- ${code(change.path)}: ${code(change.from)} → ${code(change.to)} (${code(change.value)}) [${change.themes.join(', ')}]`));
+  }
   
-  THEMES.forEach(theme => {
-    const filename = theme === 'classic-light' ? 'colors.xml' : `colors-${theme}.xml`;
-    fs.writeFileSync(
-      path.join(BUILD_DIR, 'android', filename),
-      generateAndroidColors(themeOutputs[theme], theme),
-      'utf8'
-    );
-    console.log(`  ✓ build/android/${filename}`);
-  });
+  return lines.join('\n');
+}
+
+/**
+ * Diff two token sets and print (or write) the result as Markdown or JSON
+ * 
+ * Options: from (required), to (defaults to the working tree's sourceDir),
+ * sourceDir, cwd (see resolveProjectPaths()), format ('markdown' or 'json'), output (file path)
+ */
+function diff(options = {}) {
+  const { from, to, format = 'markdown', output } = options;
+  const { sourceDir } = resolveProjectPaths(options);
+  if (!from) {
+    throw new Error('Usage: node build-themes.js diff <from> [<to>] [--json] [--output <file>]');
+  }
   
-  // Generate shared dimens (from classic-light as base)
-  fs.writeFileSync(
-    path.join(BUILD_DIR, 'android', 'dimens.xml'),
-    generateAndroidDimens(themeOutputs['classic-light']),
-    'utf8'
-  );
-  console.log('  ✓ build/android/dimens.xml');
-  
-  fs.writeFileSync(
-    path.join(BUILD_DIR, 'android', 'font_dimens.xml'),
-    generateAndroidFontDimens(themeOutputs['classic-light']),
-    'utf8'
-  );
-  console.log('  ✓ build/android/font_dimens.xml');
-  
-  // Generate iOS files
-  console.log('\n🍎 Generating iOS (Swift)...');
-  
-  THEMES.forEach(theme => {
-    const className = `StyleDictionaryColor${theme.split('-').map(p => p.charAt(0).toUpperCase() + p.slice(1)).join('')}`;
-    fs.writeFileSync(
-      path.join(BUILD_DIR, 'ios', `${className}.swift`),
-      generateSwiftColors(themeOutputs[theme], theme),
-      'utf8'
-    );
-    console.log(`  ✓ build/ios/${className}.swift`);
-  });
+  const result = diffTokenSets(loadTokenSet(from, sourceDir), loadTokenSet(to, sourceDir));
+  const text = format === 'json' ? JSON.stringify(result, null, 2) : formatTokenDiff(result);
   
-  fs.writeFileSync(
-    path.join(BUILD_DIR, 'ios', 'StyleDictionary.swift'),
-    generateSwiftShared(themeOutputs['classic-light']),
-    'utf8'
-  );
-  console.log('  ✓ build/ios/StyleDictionary.swift');
+  if (output) {
+    fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+    fs.writeFileSync(output, `${text}\n`);
+    console.log(`✓ ${output}`);
+  } else {
+    console.log(text);
+  }
   
-  console.log('\n✅ Build complete!');
-  console.log(`\n📊 Summary:`);
-  console.log(`   Themes built: ${THEMES.length}`);
-  console.log(`   Tokens per theme: ~${Object.keys(themeOutputs['classic-light']).length}`);
+  return result;
 }
 
-// Run build
-build();
+module.exports = {
+  build,
+  watch,
+  diff,
+  diffTokenSets,
+  loadTokenSet,
+  formatTokenDiff,
+  discoverThemes,
+  discoverModes,
+  getModeCombinations,
+  selectModes,
+  getThemeFamilies,
+  loadThemeTokens,
+  flattenTokens,
+  resolveReference,
+  resolveTokens,
+  validateReferences,
+  auditContrast,
+  contrastRatio,
+  parseColor,
+  // Generators
+  generateThemeCSS,
+  generateColorSchemeCSS,
+  generateModeCSS,
+  generateSCSS,
+  generateLess,
+  generateJSModules,
+  generateTailwindPreset,
+  generateDTCG,
+  generateAndroidColors,
+  generateAndroidAttrs,
+  generateAndroidThemes,
+  generateAndroidDimens,
+  generateAndroidFontDimens,
+  generateAndroidTextAppearances,
+  generateAndroidShadows,
+  generateSwiftColors,
+  generateSwiftShared,
+  generateSwiftDynamicColors,
+  generateAssetCatalogColors,
+  generateSwiftTextStyles,
+  generateSwiftShadows,
+  parseShadow,
+  generateComposeColorClass,
+  generateComposeColors,
+  generateComposeDimens,
+  generateComposeTypography,
+  generateFlutterColorClass,
+  generateFlutterTheme,
+  generateFlutterDimens,
+  generateFlutterTypography,
+  // Extension points
+  registerTransform,
+  registerFormat,
+  applyTransforms,
+  PLATFORMS
+};
+
+// Run from the command line: node build-themes.js [--watch] [--strict] [--config <file>] [--modes <axis>=<value>[,<value>]|none]...
+if (require.main === module) {
+  const configIndex = process.argv.indexOf('--config');
+  const cliOptions = { strict: process.argv.includes('--strict') };
+  if (configIndex !== -1) cliOptions.config = process.argv[configIndex + 1];
+  const modeArgs = process.argv.map((arg, index) => (arg === '--modes' ? process.argv[index + 1] : null)).filter(Boolean);
+  if (modeArgs.length > 0) cliOptions.modes = modeArgs;
+  
+  if (process.argv[2] === 'diff') {
+    const args = process.argv.slice(3);
+    const outputIndex = args.indexOf('--output');
+    const refs = args.filter((arg, index) => !arg.startsWith('--') && (outputIndex === -1 || index !== outputIndex + 1));
+    try {
+      diff({
+        from: refs[0],
+        to: refs[1],
+        format: args.includes('--json') ? 'json' : 'markdown',
+        output: outputIndex !== -1 ? args[outputIndex + 1] : undefined
+      });
+    } catch (error) {
+      reportBuildError(error);
+      process.exit(1);
+    }
+  } else if (process.argv.includes('--watch')) {
+    watch(cliOptions);
+  } else {
+    try {
+      build(cliOptions);
+    } catch (error) {
+      reportBuildError(error);
+      process.exit(1);
+    }
+  }
+}
@@ -19,6 +19,7 @@ class TokenExplorerApp {
         try {
             // Load token data
             await this.dataService.loadTokens();
+            this.themeManager.setAvailableThemes(this.dataService.getBuiltThemes());
 
             // Initialize UI
             this.uiManager.init();
@@ -54,6 +54,8 @@ const CONFIG = {
         THEME_INDICATOR: 'theme-indicator',
         THEME_PREFIX: 'theme-',
         COLOR_PREVIEW: 'color-preview',
+        TOKEN_DESCRIPTION: 'token-description',
+        DEPRECATED_BADGE: 'deprecated-badge',
         NO_RESULTS: 'no-results'
     },
 
@@ -67,12 +69,9 @@ const CONFIG = {
         FONT_FAMILY: 'fontFamily'
     },
 
-    // Theme names
+    // Theme names (available themes are discovered from the keys of tokens.json)
     THEMES: {
-        CLASSIC_LIGHT: 'classic-light',
-        CLASSIC_DARK: 'classic-dark',
-        ADVANCE_LIGHT: 'advance-light',
-        ADVANCE_DARK: 'advance-dark',
+        DEFAULT: 'classic-light',
         COMMON: 'common',
         ALL: 'all'
     },
@@ -98,15 +98,21 @@ class TokenDataService {
                 const currentPath = [...path, key];
                 const value = obj[key];
 
+                if (key.startsWith('$')) return;
+
                 if (value && typeof value === 'object') {
-                    if (value.value !== undefined) {
-                        // This is a token definition
+                    if (value.value !== undefined || value.$value !== undefined) {
+                        // This is a token definition (legacy or DTCG format)
+                        const tokenValue = value.$value !== undefined ? value.$value : value.value;
                         tokens.push({
                             name: `color.component.${componentName}.${currentPath.slice(1).join('.')}`,
-                            value: value.value, // Original reference like {color.interactive.primary.default}
-                            originalValue: value.value,
+                            value: tokenValue, // Original reference like {color.interactive.primary.default}
+                            originalValue: tokenValue,
                             path: `color.component.${componentName}.${currentPath.slice(1).join('.')}`,
-                            type: 'component'
+                            type: 'component',
+                            description: value.$description || value.description || value.comment,
+                            deprecated: value.$deprecated !== undefined ? value.$deprecated : value.deprecated,
+                            since: value.since
                         });
                     } else {
                         // Continue recursing
@@ -197,6 +203,14 @@ class TokenDataService {
         return Array.from(types).sort();
     }
 
+    /**
+     * Get the themes built into tokens.json, in build order
+     * @returns {Array} Theme names
+     */
+    getBuiltThemes() {
+        return this.tokens ? Object.keys(this.tokens) : [];
+    }
+
     /**
      * Get available themes
      * @returns {Array} Themes
@@ -237,6 +237,7 @@ class TokenRenderer {
             tokenItem.appendChild(tokenName);
             tokenItem.appendChild(document.createTextNode(' → '));
             tokenItem.appendChild(tokenValue);
+            this.appendTokenMetadata(tokenItem, token);
 
             // Add copy button
             const copyBtn = DOMUtils.createElement('button', 'copy-btn-small', {
@@ -773,6 +774,8 @@ class TokenRenderer {
             info.appendChild(value);
         }
 
+        this.appendTokenMetadata(info, token, name);
+
         item.appendChild(info);
 
         // Add actions
@@ -787,6 +790,30 @@ class TokenRenderer {
         return item;
     }
 
+    /**
+     * Append a token's deprecation badge and description
+     * @param {HTMLElement} container - Element to append the description to
+     * @param {Object} token - Token data
+     * @param {HTMLElement} nameElement - Element to append the badge to (default: container)
+     */
+    appendTokenMetadata(container, token, nameElement = container) {
+        if (token.deprecated) {
+            const badge = DOMUtils.createElement('span', CONFIG.CLASSES.DEPRECATED_BADGE, {
+                textContent: 'Deprecated',
+                title: TokenUtils.getDeprecationMessage(token.deprecated)
+            });
+            nameElement.appendChild(badge);
+        }
+
+        const details = [token.description, token.since && `Since ${token.since}`].filter(Boolean);
+        if (details.length > 0) {
+            const description = DOMUtils.createElement('div', CONFIG.CLASSES.TOKEN_DESCRIPTION, {
+                textContent: details.join(' · ')
+            });
+            container.appendChild(description);
+        }
+    }
+
     /**
      * Copy text to clipboard
      * @param {string} text - Text to copy
@@ -867,6 +894,7 @@ class TokenRenderer {
         }
 
         nameCell.appendChild(document.createTextNode(token.name));
+        this.appendTokenMetadata(nameCell, token);
         row.appendChild(nameCell);
 
         // Token value cell
@@ -900,7 +928,8 @@ class TokenRenderer {
  */
 class ThemeManager {
     constructor() {
-        this.currentTheme = CONFIG.THEMES.CLASSIC_LIGHT;
+        this.currentTheme = CONFIG.THEMES.DEFAULT;
+        this.themes = [CONFIG.THEMES.DEFAULT];
         this.init();
     }
 
@@ -908,10 +937,42 @@ class ThemeManager {
      * Initialize theme from storage
      */
     init() {
-        const savedTheme = StorageUtils.get(CONFIG.STORAGE_KEYS.THEME, CONFIG.THEMES.CLASSIC_LIGHT);
+        const savedTheme = StorageUtils.get(CONFIG.STORAGE_KEYS.THEME, CONFIG.THEMES.DEFAULT);
         this.setTheme(savedTheme);
     }
 
+    /**
+     * Set the themes to cycle through
+     * @param {Array} themes - Theme names, in toggle order
+     */
+    setAvailableThemes(themes) {
+        if (themes.length === 0) return;
+        this.themes = themes;
+        if (!themes.includes(this.currentTheme)) {
+            this.setTheme(themes[0]);
+        }
+    }
+
+    /**
+     * Get the theme that follows the current one
+     * @returns {string} Next theme name
+     */
+    getNextTheme() {
+        const index = this.themes.indexOf(this.currentTheme);
+        return this.themes[(index + 1) % this.themes.length];
+    }
+
+    /**
+     * Format a theme name for display
+     * @param {string} theme - Theme name (e.g. classic-dark)
+     * @returns {string} Display name (e.g. Classic Dark)
+     */
+    static getDisplayName(theme) {
+        return theme.split('-').map(word =>
+            word.charAt(0).toUpperCase() + word.slice(1)
+        ).join(' ');
+    }
+
     /**
      * Get current theme
      * @returns {string} Current theme
@@ -931,20 +992,10 @@ class ThemeManager {
     }
 
     /**
-     * Toggle between classic-light, classic-dark, advance-light, advance-dark themes
+     * Cycle to the next available theme
      */
     toggleTheme() {
-        let newTheme;
-        if (this.currentTheme === CONFIG.THEMES.CLASSIC_LIGHT) {
-            newTheme = CONFIG.THEMES.CLASSIC_DARK;
-        } else if (this.currentTheme === CONFIG.THEMES.CLASSIC_DARK) {
-            newTheme = CONFIG.THEMES.ADVANCE_LIGHT;
-        } else if (this.currentTheme === CONFIG.THEMES.ADVANCE_LIGHT) {
-            newTheme = CONFIG.THEMES.ADVANCE_DARK;
-        } else {
-            newTheme = CONFIG.THEMES.CLASSIC_LIGHT;
-        }
-        this.setTheme(newTheme);
+        this.setTheme(this.getNextTheme());
     }
 }
 
@@ -1041,17 +1092,7 @@ class UIManager {
         if (themeToggle) {
             // Update button text based on current theme
             const updateButtonText = () => {
-                const currentTheme = this.themeManager.getCurrentTheme();
-                let nextTheme;
-                if (currentTheme === CONFIG.THEMES.CLASSIC_LIGHT) {
-                    nextTheme = 'Classic Dark';
-                } else if (currentTheme === CONFIG.THEMES.CLASSIC_DARK) {
-                    nextTheme = 'Advance Light';
-                } else if (currentTheme === CONFIG.THEMES.ADVANCE_LIGHT) {
-                    nextTheme = 'Advance Dark';
-                } else {
-                    nextTheme = 'Classic Light';
-                }
+                const nextTheme = ThemeManager.getDisplayName(this.themeManager.getNextTheme());
                 themeToggle.textContent = `Switch to ${nextTheme} Theme`;
             };
 
@@ -1190,16 +1231,12 @@ class UIManager {
         // Clear existing options except "All"
         select.innerHTML = `<option value="${CONFIG.FILTERS.ALL}">All Themes</option>`;
 
-        // Add themes in specific order
-        const orderedThemes = ['classic-light', 'classic-dark', 'advance-light', 'advance-dark'];
-        orderedThemes.forEach(theme => {
+        // Add themes in build order
+        this.dataService.getBuiltThemes().forEach(theme => {
             if (themes.includes(theme)) {
-                const displayName = theme.split('-').map(word =>
-                    word.charAt(0).toUpperCase() + word.slice(1)
-                ).join(' ');
                 const option = DOMUtils.createElement('option', '', {
                     value: theme,
-                    textContent: displayName
+                    textContent: ThemeManager.getDisplayName(theme)
                 });
                 select.appendChild(option);
             }
@@ -130,7 +130,10 @@ class TokenUtils {
                     name: currentPath,
                     value: value.value,
                     path: currentPath.split('.'),
-                    comment: value.comment
+                    // "comment" is the Style Dictionary name for description
+                    description: value.description || value.comment,
+                    deprecated: value.deprecated,
+                    since: value.since
                 });
             }
             // Check if it's a direct value (string/number)
@@ -150,6 +153,22 @@ class TokenUtils {
         return result;
     }
 
+    /**
+     * Get a deprecation message for display
+     * @param {boolean|string|Object} deprecated - true, a message, or { message, replacement }
+     * @returns {string} Deprecation message
+     */
+    static getDeprecationMessage(deprecated) {
+        if (typeof deprecated === 'string') return deprecated;
+
+        const parts = [];
+        if (deprecated.message) parts.push(deprecated.message);
+        if (deprecated.replacement) {
+            parts.push(`Use ${deprecated.replacement.replace(/^\{|\}$/g, '')} instead`);
+        }
+        return parts.join('. ') || 'Deprecated';
+    }
+
     /**
      * Get token color value for display
      * @param {Object} token - Token object